@@ -7,13 +7,63 @@
   const firOverlay = document.getElementById('firOverlay');
   const firFab = document.getElementById('firFab');
   const firContent = firPanel?.querySelector('.drawer-content');
+  const dashboardPanel = document.getElementById('dashboardPanel');
+  const dashboardFab = document.getElementById('dashboardFab');
+  const dashboardContent = dashboardPanel?.querySelector('.drawer-content');
   const countRedEl = document.getElementById('countRed');
   const countYellowEl = document.getElementById('countYellow');
   const countGreenEl = document.getElementById('countGreen');
+  const quizModeSelect = document.getElementById('quizModeSelect');
+  const answerPanel = document.getElementById('answerPanel');
+  const answerForm = document.getElementById('answerForm');
+  const answerInput = document.getElementById('answerInput');
+  const answerFeedback = document.getElementById('answerFeedback');
+  const choiceButtons = document.getElementById('choiceButtons');
+  const vectorForm = document.getElementById('vectorForm');
+  const vectorBearingInput = document.getElementById('vectorBearingInput');
+  const vectorDistanceInput = document.getElementById('vectorDistanceInput');
+  const vectorSubmit = document.getElementById('vectorSubmit');
+  const vectorReferenceSelect = document.getElementById('vectorReferenceSelect');
+  const vectorVariationInput = document.getElementById('vectorVariationInput');
+  const noticeBar = document.getElementById('noticeBar');
+  const exportProgressButton = document.getElementById('exportProgressButton');
+  const importProgressButton = document.getElementById('importProgressButton');
+  const importProgressInput = document.getElementById('importProgressInput');
+  const importStrategySelect = document.getElementById('importStrategySelect');
+  const schedulerSelect = document.getElementById('schedulerSelect');
+  const profileSelect = document.getElementById('profileSelect');
+  const profileForm = document.getElementById('profileForm');
+  const profileNameInput = document.getElementById('profileNameInput');
+  const examQuestionCountInput = document.getElementById('examQuestionCount');
+  const examQuestionSecondsInput = document.getElementById('examQuestionSeconds');
+  const examTotalMinutesInput = document.getElementById('examTotalMinutes');
+  const startExamButton = document.getElementById('startExamButton');
+  const addWaypointSetButton = document.getElementById('addWaypointSetButton');
+  const addWaypointSetInput = document.getElementById('addWaypointSetInput');
+  const homeFab = document.getElementById('homeFab');
+  const setHomeButton = document.getElementById('setHomeButton');
+  const clearHomeButton = document.getElementById('clearHomeButton');
+  const projectionSelect = document.getElementById('projectionSelect');
+  const themeSelect = document.getElementById('themeSelect');
+  const setScopeCenterButton = document.getElementById('setScopeCenterButton');
+  const clearScopeCenterButton = document.getElementById('clearScopeCenterButton');
+  const loadProgressBar = document.getElementById('loadProgress');
+  const examBar = document.getElementById('examBar');
+  const srAnnouncer = document.getElementById('srAnnouncer');
+  const examBarText = examBar?.querySelector('.exam-bar-text');
+  const endExamButton = document.getElementById('endExamButton');
+  const examReportPanel = document.getElementById('examReportPanel');
+  const examReportContent = examReportPanel?.querySelector('.drawer-content');
 
   const viewport = { scale: 1, offsetX: 0, offsetY: 0 };
 
   let firGeoJSON = null;
+  let boundaryWaypoints = [];
+  let firMetadata = new Map();
+  let firOutlines = [];
+  let pendingNotices = [];
+  let failedWaypointSources = [];
+  const loadProgress = { done: 0, total: 0 };
   let waypoints = [];
   let visibleWaypoints = [];
   let firOptions = [];
@@ -21,20 +71,140 @@
   let currentTarget = null;
   let queuedNextTarget = null;
   let projection = null;
-  let epwwBounds = null;
+  let regionBounds = null;
+  let homeView = null;
+  let projectionId = 'equirectangular';
+  let themeId = 'light';
+  let scopeCenter = null;
   let renderScheduled = false;
   let currentWrongCount = 0;
   let revealState = { active: false, visible: true, timerId: null };
   const waypointFeedback = new Map();
+  let confusionCounts = {};
+  let statsStore = null;
+  let answerJournal = null;
+  let shownTargetId = null;
+  let targetShownAt = 0;
+  let pageHiddenAt = 0;
   let initializationError = null;
   let firPanelOpen = false;
+  let dashboardOpen = false;
+  let examReportOpen = false;
+  let examState = null;
+  let quizMode = 'tap';
+  let vectorQuestion = null;
+  let missLine = null;
+  let pendingAnnouncements = [];
+  let lastAnnouncedTitle = '';
+  let lastAnnouncedCounts = null;
+  let focusBeforePanel = null;
+  const keyboardCursor = { candidates: [], index: -1 };
+  let vectorSettings = null;
+  let schedulerId = 'interval';
 
   const MIN_SCALE = 1500;
   const MAX_SCALE = 25000;
 
+  const PROFILES_STORAGE_KEY = 'profiles:v1';
+  const DEFAULT_PROFILE = { id: 'default', name: 'Default' };
+  const activeProfileId = restoreActiveProfileId();
+
+  // Progress and the scheduler belong to the active profile; display
+  // settings are shared.
   const STORAGE_KEY = 'enabledFIRs:v1';
-  const QUIZ_STORAGE_PREFIX = 'waypointStats:v1:';
-  const SESSION_STORAGE_KEY = 'waypointSession:v1';
+  const QUIZ_STORAGE_PREFIX = profileStorageKey('waypointStats:v1:');
+  const SESSION_STORAGE_KEY = profileStorageKey('waypointSession:v1');
+  const QUIZ_MODE_STORAGE_KEY = 'quizMode:v1';
+  const CONFUSION_STORAGE_KEY = profileStorageKey('waypointConfusions:v1');
+  const SCHEDULER_STORAGE_KEY = profileStorageKey('scheduler:v1');
+  const EXAM_RESULTS_STORAGE_KEY = profileStorageKey('examResults:v1');
+  const EXAM_SETTINGS_STORAGE_KEY = 'examSettings:v1';
+  const VECTOR_SETTINGS_STORAGE_KEY = 'vectorSettings:v1';
+  const HOME_VIEW_STORAGE_KEY = 'homeView:v1';
+  const PROJECTION_STORAGE_KEY = 'projection:v1';
+  const THEME_STORAGE_KEY = 'theme:v1';
+  const SCOPE_CENTER_STORAGE_KEY = 'scopeCenter:v1';
+  const ID_MIGRATION_STORAGE_KEY = profileStorageKey('waypointIdMigration:v1');
+  const UNMATCHED_STATS_PREFIX = profileStorageKey('waypointStatsUnmatched:v1:');
+
+  const STATS_DB_NAME = profileStorageKey('atcWaypointQuiz');
+  const STATS_DB_VERSION = 3;
+  const STATS_OBJECT_STORE = 'waypointStats';
+  const ARCHIVE_OBJECT_STORE = 'waypointArchive';
+  const META_OBJECT_STORE = 'meta';
+  const META_STORAGE_PREFIX = profileStorageKey('statsMeta:v1:');
+  const ARCHIVE_STORAGE_PREFIX = profileStorageKey('waypointArchive:v1:');
+  const SNAPSHOT_META_KEY = 'waypointSnapshot';
+  const JOURNAL_OBJECT_STORE = 'answerJournal';
+  const JOURNAL_DAILY_OBJECT_STORE = 'answerJournalDaily';
+  const JOURNAL_STORAGE_KEY = profileStorageKey('answerJournal:v1');
+  const STATS_FLUSH_DELAY_MS = 250;
+  const LOCAL_STORAGE_IMPORT_META_KEY = 'localStorageImport';
+
+  // Append new steps; never edit one that has shipped.
+  const STATS_DB_MIGRATIONS = [
+    (db) => {
+      db.createObjectStore(STATS_OBJECT_STORE, { keyPath: ['track', 'id'] });
+      db.createObjectStore(META_OBJECT_STORE, { keyPath: 'key' });
+    },
+    (db) => {
+      const journal = db.createObjectStore(JOURNAL_OBJECT_STORE, {
+        keyPath: 'seq',
+        autoIncrement: true,
+      });
+      journal.createIndex('at', 'at');
+      db.createObjectStore(JOURNAL_DAILY_OBJECT_STORE, { keyPath: ['day', 'mode', 'targetId'] });
+    },
+    (db) => {
+      db.createObjectStore(ARCHIVE_OBJECT_STORE, { keyPath: ['track', 'id'] });
+    },
+  ];
+
+  const AIRAC_CONFIG = {
+    movedThresholdNm: 1,
+    maxListedChanges: 200,
+  };
+
+  const JOURNAL_CONFIG = {
+    maxEntries: 20000,
+    localStorageMaxEntries: 2000,
+    retentionMs: 30 * 24 * 60 * 60 * 1000,
+    dailyRetentionDays: 365,
+  };
+
+  const EARTH_RADIUS_NM = 3440.065;
+
+  const PROGRESS_FILE_FORMAT = 'atc-waypoint-progress';
+  const PROGRESS_FILE_VERSION = 1;
+
+  // Finding a waypoint and recognising it are scheduled separately.
+  const STATS_TRACKS = {
+    locate: { statsKey: 'stats', storagePrefix: QUIZ_STORAGE_PREFIX },
+    identify: { statsKey: 'identifyStats', storagePrefix: `${QUIZ_STORAGE_PREFIX}identify:` },
+    vector: { statsKey: 'vectorStats', storagePrefix: `${QUIZ_STORAGE_PREFIX}vector:` },
+  };
+
+  const QUIZ_MODES = {
+    tap: { label: 'Find on map', track: 'locate' },
+    type: {
+      label: 'Type the name',
+      track: 'identify',
+      blinkTarget: true,
+      prompt: 'Name the blinking waypoint',
+      responseAllowanceMs: 2500,
+    },
+    choice: {
+      label: 'Pick the name',
+      track: 'identify',
+      blinkTarget: true,
+      prompt: 'Pick the blinking waypoint',
+    },
+    vector: {
+      label: 'Bearing & distance',
+      track: 'vector',
+      responseAllowanceMs: 4000,
+    },
+  };
 
   const QUIZ_CONFIG = {
     tolerancePx: 18,
@@ -44,6 +214,18 @@
     correctStreakMultiplier: 1.7,
     maxCorrectIntervalMs: 2 * 60 * 60 * 1000,
     revealFlashMs: 300,
+    revealAfterWrongs: 3,
+    fastResponseMs: 3000,
+    slowResponseMs: 12000,
+    slowIntervalFactor: 0.35,
+    greenMaxAvgResponseMs: 5000,
+    responseAverageWeight: 0.4,
+    nearMissMaxDistance: 2,
+    missGrades: [
+      { grade: 'near', label: 'near', maxNm: 5, intervalFactor: 2 },
+      { grade: 'close', label: 'close', maxNm: 25, intervalFactor: 1 },
+      { grade: 'far', label: 'far off', maxNm: Infinity, intervalFactor: 0.5 },
+    ],
     statusPriorityWeights: {
       red: 7,
       yellow: 4,
@@ -51,8 +233,120 @@
     },
   };
 
+  const CHOICE_CONFIG = {
+    optionCount: 4,
+    nearbyPoolSize: 8,
+    similarMaxDistance: 2,
+    sourcePoolSize: 3,
+  };
+
+  const VECTOR_CONFIG = {
+    bearingToleranceDeg: 5,
+    distanceToleranceNm: 3,
+    distanceToleranceRatio: 0.1,
+    minDistanceNm: 10,
+    maxDistanceNm: 120,
+    // Rough easterly variation over central Europe.
+    defaultVariationDeg: 5,
+  };
+
+  const CONFUSION_CONFIG = {
+    drillMinCount: 2,
+    drillChance: 0.6,
+    drillCooldownMs: 2 * 60 * 1000,
+    panelPairs: 10,
+  };
+
+  const KEYBOARD_CONFIG = {
+    panStepPx: 60,
+    largePanStepPx: 240,
+    zoomFactor: 1.25,
+    candidateCount: 8,
+  };
+
+  const DASHBOARD_CONFIG = {
+    accuracyDays: 14,
+    weakestCount: 5,
+    chartHeight: 90,
+    hourMs: 60 * 60 * 1000,
+    dayMs: 24 * 60 * 60 * 1000,
+  };
+
+  const EXAM_CONFIG = {
+    defaultQuestionCount: 20,
+    maxQuestionCount: 500,
+    tickMs: 250,
+    historyLimit: 20,
+  };
+
   const SESSION_HEARTBEAT_MS = 60 * 1000;
 
+  const SCHEDULERS = {
+    interval: createIntervalScheduler(),
+    fsrs: createFsrsScheduler(),
+  };
+
+  const PROJECTIONS = {
+    equirectangular: createEquirectangularProjectionType(),
+    lambert: createLambertProjectionType(),
+  };
+
+  const THEMES = {
+    light: {
+      id: 'light',
+      label: 'Light',
+      background: '#fff',
+      boundaries: {
+        both: { color: '#c4c4c4', dash: [] },
+        upper: { color: '#c4c4c4', dash: [] },
+        lower: { color: '#c4c4c4', dash: [] },
+      },
+      waypoint: '#333',
+      target: '#2563eb',
+      symbol: 'dot',
+      rangeRings: null,
+    },
+    dark: {
+      id: 'dark',
+      label: 'Dark',
+      background: '#111827',
+      boundaries: {
+        both: { color: '#4b5563', dash: [] },
+        upper: { color: '#4b5563', dash: [] },
+        lower: { color: '#4b5563', dash: [] },
+      },
+      waypoint: '#e5e7eb',
+      target: '#60a5fa',
+      symbol: 'dot',
+      rangeRings: null,
+    },
+    scope: {
+      id: 'scope',
+      label: 'Radar scope',
+      background: '#03100a',
+      boundaries: {
+        both: { color: '#3f9f6a', dash: [] },
+        upper: { color: '#3b82a6', dash: [10, 6] },
+        lower: { color: '#a3953f', dash: [3, 5] },
+      },
+      waypoint: '#7dffa8',
+      target: '#facc15',
+      symbol: 'triangle',
+      rangeRings: { color: 'rgba(125, 255, 168, 0.22)', label: 'rgba(125, 255, 168, 0.6)' },
+    },
+  };
+
+  const SCOPE_CONFIG = {
+    ringStepsNm: [5, 10, 20, 25, 50, 100],
+    minRingSpacingPx: 60,
+    maxRings: 40,
+    ringSegments: 120,
+    tickStepDeg: 10,
+    labelStepDeg: 30,
+    tickLengthPx: 5,
+    majorTickLengthPx: 10,
+  };
+
   const FORGETTING_CONFIG = {
     dayMs: 24 * 60 * 60 * 1000,
     halfLifeDays: {
@@ -74,24 +368,66 @@
     downgradeCooldownMs: 30 * 1000,
   };
 
+  // FSRS-4.5 default parameters; see https://github.com/open-spaced-repetition/fsrs4anki
+  const FSRS_CONFIG = {
+    weights: [
+      0.4872, 1.4003, 3.7145, 13.8206, 5.1618, 1.2298, 0.8975, 0.031, 1.6474, 0.1367, 1.0461,
+      2.1072, 0.0793, 0.3246, 1.587, 0.2272, 2.8755,
+    ],
+    decay: -0.5,
+    factor: 19 / 81,
+    desiredRetention: 0.9,
+    graduateAfterCorrect: 2,
+    easyResponseMs: 1500,
+    greenStabilityDays: 3,
+    redRetrievability: 0.5,
+    maxIntervalDays: 365,
+    seedStabilityDays: {
+      yellow: 0.25,
+      green: 3,
+    },
+  };
+
   const DEBUG_FORGETTING = false;
 
   const DEFAULT_VIEW_BOUNDS = {
-    minLon: 14.156666,
-    maxLon: 24.1,
-    minLat: 49.0,
-    maxLat: 55.85,
+    minLon: 5,
+    maxLon: 30,
+    minLat: 42,
+    maxLat: 58,
   };
 
   const DATA_ROOT = 'data';
   const WAYPOINTS_PATH = `${DATA_ROOT}/waypoints`;
   const WAYPOINT_INDEX_FILE = 'index.json';
   const WAYPOINT_INDEX_ERROR = 'Failed to load FIR manifest';
+  const WAYPOINT_TEXT_FORMATS = ['csv', 'gpx', 'txt'];
+  const CUSTOM_SETS_STORAGE_KEY = 'customWaypointSets:v1';
+  const CUSTOM_SET_CONFIG = {
+    maxCodeLength: 12,
+  };
+  const WAYPOINT_FORMATS = ['geojson', ...WAYPOINT_TEXT_FORMATS];
+  // AIRAC cycles are 28 days apart; 2401 became effective on 25 January 2024.
+  const AIRAC_REFERENCE = { cycle: 2401, effectiveAt: Date.UTC(2024, 0, 25) };
+  const AIRAC_CYCLE_MS = 28 * 24 * 60 * 60 * 1000;
+  const AIP_COORDINATE_PATTERN =
+    /(?<![\d.])([NS]\s?\d{4,6}(?:\.\d+)?|\d{4,6}(?:\.\d+)?\s?[NS])\s*[,;/]?\s*([EW]\s?\d{5,7}(?:\.\d+)?|\d{5,7}(?:\.\d+)?\s?[EW])(?![\d.])/;
+
+  const FIR_MAP_WORKER_URL = 'firmap-worker.js';
+  const SERVICE_WORKER_URL = 'service-worker.js';
 
   const FIR_DISABLED_MESSAGE = 'Enable at least one FIR';
   const MANIFEST_EMPTY_MESSAGE = 'No FIR files listed in manifest';
 
   async function loadFIRMap() {
+    if (window.Worker) {
+      try {
+        return await loadFIRMapInWorker();
+      } catch (error) {
+        console.warn('Loading the FIR map on the main thread instead', error);
+      }
+    }
+
     const response = await fetch(`${DATA_ROOT}/FIRmap.json`);
     if (!response.ok) {
       throw new Error(`Failed to load FIR map: ${response.status}`);
@@ -99,6 +435,68 @@
     return response.json();
   }
 
+  function unpackFIRMap({ features, coordinates }) {
+    const ringAt = ([start, end]) => {
+      const ring = [];
+      for (let i = start; i < end; i += 2) ring.push([coordinates[i], coordinates[i + 1]]);
+      return ring;
+    };
+    return {
+      type: 'FeatureCollection',
+      features: features.map(({ properties, type, polygons }) => {
+        const rings = polygons.map((polygon) => polygon.map(ringAt));
+        let geometry = null;
+        if (type === 'Polygon') geometry = { type, coordinates: rings[0] ?? [] };
+        if (type === 'MultiPolygon') geometry = { type, coordinates: rings };
+        return { type: 'Feature', properties, geometry };
+      }),
+    };
+  }
+
+  // Parsed in a worker so the first paint isn't blocked.
+  function loadFIRMapInWorker() {
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(FIR_MAP_WORKER_URL);
+      worker.addEventListener('message', ({ data }) => {
+        if (data?.ok) {
+          resolve(unpackFIRMap(data.packed));
+        } else {
+          reject(new Error(data?.error || 'FIR map worker failed'));
+        }
+      });
+      worker.addEventListener('error', (event) => {
+        event.preventDefault();
+        worker.terminate();
+        reject(new Error(event.message || 'FIR map worker failed'));
+      });
+      worker.postMessage({ url: new URL(`${DATA_ROOT}/FIRmap.json`, document.baseURI).href });
+    });
+  }
+
+  function trackLoad(promise) {
+    loadProgress.total += 1;
+    renderLoadProgress();
+    return promise.finally(() => {
+      loadProgress.done += 1;
+      renderLoadProgress();
+    });
+  }
+
+  function renderLoadProgress() {
+    if (!loadProgressBar) return;
+    const { done, total } = loadProgress;
+    const finished = done >= total;
+    loadProgressBar.hidden = finished;
+    loadProgressBar.setAttribute('aria-valuemax', `${total}`);
+    loadProgressBar.setAttribute('aria-valuenow', `${done}`);
+    const fill = loadProgressBar.firstElementChild;
+    if (fill) fill.style.width = `${total ? (done / total) * 100 : 0}%`;
+    if (finished) {
+      loadProgress.done = 0;
+      loadProgress.total = 0;
+    }
+  }
+
   async function fetchJSONFrom(paths) {
     const triedPaths = [];
     for (const path of paths) {
@@ -115,22 +513,304 @@
     throw new Error(`Failed to load waypoints from: ${triedPaths.join(', ')}`);
   }
 
+  async function fetchTextFrom(paths) {
+    const triedPaths = [];
+    for (const path of paths) {
+      try {
+        triedPaths.push(path);
+        const response = await fetch(path);
+        if (response.ok) {
+          return await response.text();
+        }
+      } catch (error) {
+        console.warn(`Unable to fetch ${path}`, error);
+      }
+    }
+    throw new Error(`Failed to load waypoints from: ${triedPaths.join(', ')}`);
+  }
+
+  function waypointFileFormat(filename) {
+    const extension = `${filename}`.split('.').pop().toLowerCase();
+    return WAYPOINT_TEXT_FORMATS.includes(extension) ? extension : 'geojson';
+  }
+
+  function pointFeature(name, lon, lat, fir) {
+    return {
+      type: 'Feature',
+      properties: fir ? { name: name || null, fir } : { name: name || null },
+      geometry: { type: 'Point', coordinates: [lon, lat] },
+    };
+  }
+
+  // "48 16 13N" and "E016 55 35" become 481613N and E0165535.
+  function joinSpacedDMS(text) {
+    const join = (hemisphere, degrees, minutes, seconds) =>
+      `${degrees.padStart(hemisphere === 'E' || hemisphere === 'W' ? 3 : 2, '0')}` +
+      `${minutes.padStart(2, '0')}${seconds.padStart(2, '0')}`;
+    return text
+      .replace(
+        /\b([NSEW])\s?(\d{1,3})\s+(\d{1,2})\s+(\d{1,2}(?:\.\d+)?)(?![\d.])/g,
+        (_, hemisphere, d, m, s) => `${hemisphere}${join(hemisphere, d, m, s)}`
+      )
+      .replace(
+        /(?<![\d.])(\d{1,3})\s+(\d{1,2})\s+(\d{1,2}(?:\.\d+)?)([NSEW])\b/g,
+        (_, d, m, s, hemisphere) => `${join(hemisphere, d, m, s)}${hemisphere}`
+      );
+  }
+
+  // Decimal degrees or AIP DMS: 481613N, 0165535.5E, N4816, 4816.5N, 48 16 13N.
+  function parseCoordinate(value, axis) {
+    const text = joinSpacedDMS(`${value ?? ''}`.trim().toUpperCase());
+    if (!text) return NaN;
+    if (/^[+-]?\d+(\.\d+)?$/.test(text)) return Number(text);
+
+    const match = text.match(/^([NSEW])?\s*(\d+(?:\.\d+)?)\s*([NSEW])?$/);
+    const hemisphere = match?.[1] || match?.[3];
+    if (!match || !hemisphere || (match[1] && match[3])) return NaN;
+
+    const isLatitude = hemisphere === 'N' || hemisphere === 'S';
+    if (axis && (axis === 'lat') !== isLatitude) return NaN;
+
+    const [whole, fraction = ''] = match[2].split('.');
+    const degreeDigits = isLatitude ? 2 : 3;
+    if (whole.length < degreeDigits) return NaN;
+
+    const fields = [
+      whole.slice(0, degreeDigits),
+      whole.slice(degreeDigits, degreeDigits + 2),
+      whole.slice(degreeDigits + 2),
+    ].filter(Boolean);
+    const last = fields.length - 1;
+    if (fraction && last > 0 && fields[last].length !== 2) return NaN;
+    fields[last] = `${fields[last]}${fraction ? `.${fraction}` : ''}`;
+
+    const [degrees, minutes = 0, seconds = 0] = fields.map(Number);
+    if (minutes >= 60 || seconds >= 60 || whole.length > degreeDigits + 4) return NaN;
+
+    const decimal = degrees + minutes / 60 + seconds / 3600;
+    return hemisphere === 'S' || hemisphere === 'W' ? -decimal : decimal;
+  }
+
+  function parseCoordinatePair(text) {
+    const match = joinSpacedDMS(`${text ?? ''}`.toUpperCase()).match(AIP_COORDINATE_PATTERN);
+    if (!match) return null;
+    const lat = parseCoordinate(match[1], 'lat');
+    const lon = parseCoordinate(match[2], 'lon');
+    return Number.isFinite(lat) && Number.isFinite(lon) ? { lat, lon } : null;
+  }
+
+  function splitCSVLine(line, delimiter) {
+    const cells = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i += 1) {
+      const char = line[i];
+      if (quoted) {
+        if (char === '"' && line[i + 1] === '"') {
+          cell += '"';
+          i += 1;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === delimiter) {
+        cells.push(cell.trim());
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+    cells.push(cell.trim());
+    return cells;
+  }
+
+  // Columns are name, lat, lon, fir unless a header row names them. Rows without
+  // usable coordinates are returned as rejected.
+  function parseWaypointCSV(text) {
+    const lines = text.split(/\r?\n/).filter((line) => line.trim() && !line.startsWith('#'));
+    if (!lines.length) return { type: 'FeatureCollection', features: [], rejected: [] };
+
+    // "ABC;48,5;17,2" has as many commas as semicolons.
+    const semicolonCells = lines[0].split(';').length;
+    const delimiter =
+      semicolonCells > 1 && semicolonCells >= lines[0].split(',').length ? ';' : ',';
+    const firstRow = splitCSVLine(lines[0], delimiter).map((cell) => cell.toLowerCase());
+    const hasHeader = firstRow.includes('name');
+    const column = (aliases, fallback) => {
+      if (!hasHeader) return fallback;
+      const index = firstRow.findIndex((cell) => aliases.includes(cell));
+      return index === -1 ? null : index;
+    };
+    const columns = {
+      name: column(['name', 'ident', 'designator'], 0),
+      lat: column(['lat', 'latitude'], 1),
+      lon: column(['lon', 'lng', 'long', 'longitude'], 2),
+      fir: column(['fir'], 3),
+      coordinates: column(['coordinates', 'position'], null),
+    };
+
+    // Semicolon files usually come from locales that write 48,5 for 48.5.
+    const number = (value) =>
+      delimiter === ';' ? value.replace(/^([+-]?\d+),(\d+)$/, '$1.$2') : value;
+    const features = [];
+    const rejected = [];
+    (hasHeader ? lines.slice(1) : lines).forEach((line) => {
+      const cells = splitCSVLine(line, delimiter);
+      const cell = (index) => (index === null ? '' : cells[index] ?? '');
+      const pair =
+        parseCoordinatePair(cell(columns.coordinates)) ||
+        parseCoordinatePair(`${cell(columns.lat)} ${cell(columns.lon)}`);
+      const lat = pair ? pair.lat : parseCoordinate(number(cell(columns.lat)), 'lat');
+      const lon = pair ? pair.lon : parseCoordinate(number(cell(columns.lon)), 'lon');
+      if (Number.isFinite(lat) && Number.isFinite(lon)) {
+        features.push(pointFeature(cell(columns.name), lon, lat, cell(columns.fir) || null));
+      } else {
+        rejected.push(line.trim());
+      }
+    });
+
+    return { type: 'FeatureCollection', features, rejected };
+  }
+
+  function parseWaypointGPX(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length) {
+      throw new Error('Invalid GPX file');
+    }
+
+    const childText = (element, tag) =>
+      element.getElementsByTagNameNS('*', tag)[0]?.textContent?.trim() || '';
+    const features = [...doc.getElementsByTagNameNS('*', 'wpt')].map((wpt) =>
+      pointFeature(
+        childText(wpt, 'name'),
+        parseCoordinate(wpt.getAttribute('lon')),
+        parseCoordinate(wpt.getAttribute('lat')),
+        childText(wpt, 'fir') || null
+      )
+    );
+
+    return { type: 'FeatureCollection', features };
+  }
+
+  // AIP ENR 4.4 text: "ABDUL 481613N 0165535E" on each line. Named lines with
+  // digits but no readable position are returned as rejected.
+  function parseWaypointAIP(text) {
+    const features = [];
+    const rejected = [];
+    text.split(/\r?\n/).forEach((line) => {
+      const name = line.trim().toUpperCase().match(/^([A-Z]{5})\b/)?.[1];
+      const pair = parseCoordinatePair(line);
+      if (name && pair) {
+        features.push(pointFeature(name, pair.lon, pair.lat, null));
+      } else if (name && /\d/.test(line)) {
+        rejected.push(line.trim());
+      }
+    });
+    return { type: 'FeatureCollection', features, rejected };
+  }
+
+  function parseWaypointText(text, format) {
+    switch (format) {
+      case 'csv':
+        return parseWaypointCSV(text);
+      case 'gpx':
+        return parseWaypointGPX(text);
+      default:
+        return parseWaypointAIP(text);
+    }
+  }
+
+  async function fetchWaypointData(file, format = waypointFileFormat(file)) {
+    const paths = buildWaypointPaths(file);
+    if (format === 'geojson') return fetchJSONFrom(paths);
+    const data = parseWaypointText(await fetchTextFrom(paths), format);
+    if (data.rejected?.length) {
+      console.warn(`Skipped ${data.rejected.length} unreadable lines in ${file}`, data.rejected);
+    }
+    return data;
+  }
+
+  // index.json is an array of file names or { version: 2, firs: [{ code, name,
+  //   avName, airac, enabled, color, file, format }] }.
+  function normalizeManifestEntry(item) {
+    if (typeof item === 'string') {
+      const file = item.trim();
+      if (!file) return null;
+      const code = firCodeFromFilename(file);
+      return {
+        file,
+        code,
+        name: code,
+        avName: null,
+        airac: null,
+        defaultEnabled: true,
+        color: null,
+        format: waypointFileFormat(file),
+      };
+    }
+
+    const file = `${item?.file ?? ''}`.trim();
+    if (!file) return null;
+    const code = `${item.code ?? firCodeFromFilename(file)}`.trim().toUpperCase();
+    const format = `${item.format ?? ''}`.toLowerCase();
+    return {
+      file,
+      code,
+      name: `${item.name ?? ''}`.trim() || code,
+      avName: item.avName ?? item.AV_NAME ?? null,
+      airac: item.airac ? `${item.airac}`.trim() : null,
+      defaultEnabled: item.enabled !== false,
+      color: typeof item.color === 'string' ? item.color : null,
+      format: WAYPOINT_FORMATS.includes(format) ? format : waypointFileFormat(file),
+    };
+  }
+
   async function loadWaypointIndex() {
     const response = await fetch(`${WAYPOINTS_PATH}/${WAYPOINT_INDEX_FILE}`);
     if (!response.ok) {
       throw new Error(WAYPOINT_INDEX_ERROR);
     }
 
-    const entries = await response.json();
-    const files = Array.isArray(entries)
-      ? entries.map((item) => `${item}`.trim()).filter(Boolean)
+    const manifest = await response.json();
+    const items = Array.isArray(manifest) ? manifest : manifest?.firs;
+    const entries = Array.isArray(items)
+      ? items.map(normalizeManifestEntry).filter(Boolean)
       : [];
 
-    if (!files.length) {
+    if (!entries.length) {
       throw new Error(MANIFEST_EMPTY_MESSAGE);
     }
 
-    return files;
+    return entries;
+  }
+
+  function airacEffectiveDate(cycle) {
+    const match = `${cycle ?? ''}`.match(/^(\d{2})(\d{2})$/);
+    if (!match) return null;
+    const year = 2000 + Number(match[1]);
+    const number = Number(match[2]);
+    if (number < 1 || number > 14) return null;
+
+    const sinceReference = Date.UTC(year, 0, 1) - AIRAC_REFERENCE.effectiveAt;
+    const firstOfYear =
+      AIRAC_REFERENCE.effectiveAt + Math.ceil(sinceReference / AIRAC_CYCLE_MS) * AIRAC_CYCLE_MS;
+    const effectiveAt = firstOfYear + (number - 1) * AIRAC_CYCLE_MS;
+    return new Date(effectiveAt).getUTCFullYear() === year ? new Date(effectiveAt) : null;
+  }
+
+  function formatAIRAC(airac) {
+    if (!airac) return '';
+    const effective = airacEffectiveDate(airac);
+    return effective
+      ? `AIRAC ${airac} · ${effective.toISOString().slice(0, 10)}`
+      : `AIRAC ${airac}`;
+  }
+
+  function firDisplayName(code) {
+    return firMetadata.get(code)?.name ?? code;
   }
 
   function firCodeFromFilename(filename) {
@@ -143,6 +823,10 @@
     if (!safeName) return [];
 
     const nameOnly = safeName.split('/').pop();
+    if (WAYPOINT_TEXT_FORMATS.includes(`${nameOnly}`.split('.').pop().toLowerCase())) {
+      return [`${WAYPOINTS_PATH}/${nameOnly}`];
+    }
+
     const stem = nameOnly.replace(/\.geojson$/i, '');
     const paths = new Set();
 
@@ -153,35 +837,237 @@
     return [...paths];
   }
 
+  // Combined in manifest order so ids don't depend on which file loads first.
   async function loadWaypoints() {
     const allWaypoints = [];
-    const waypointFiles = await loadWaypointIndex();
-
-    for (const file of waypointFiles) {
-      const firCode = firCodeFromFilename(file);
-      const paths = buildWaypointPaths(file);
-      const data = await fetchJSONFrom(paths);
-      const features = data?.features ?? [];
-
-      const parsed = features
-        .map((feature, index) => {
-          const [lon, lat] = feature?.geometry?.coordinates ?? [];
-          return {
-            id: feature?.id ?? `${firCode}-${index}`,
-            name: feature?.properties?.name ?? 'Unknown',
-            fir: feature?.properties?.fir ?? firCode,
-            lon,
-            lat,
-          };
-        })
-        .filter((wp) => Number.isFinite(wp.lon) && Number.isFinite(wp.lat));
+    const manifestEntries = await trackLoad(loadWaypointIndex());
+    failedWaypointSources = [];
+    firMetadata = new Map(manifestEntries.map((entry) => [entry.code, entry]));
+
+    const results = await Promise.allSettled(
+      manifestEntries.map((entry) => trackLoad(fetchWaypointData(entry.file, entry.format)))
+    );
+
+    results.forEach((result, index) => {
+      const entry = manifestEntries[index];
+      if (result.status === 'rejected') {
+        console.warn(`Failed to load ${entry.file}`, result.reason);
+        failedWaypointSources.push({ entry, error: result.reason?.message || 'Failed to load' });
+        return;
+      }
+
+      const data = result.value;
+      allWaypoints.push(...parseWaypointFeatures(data?.features ?? [], entry.code));
+    });
 
-      allWaypoints.push(...parsed);
+    if (!allWaypoints.length && failedWaypointSources.length) {
+      throw new Error(
+        `Failed to load waypoints for ${failedWaypointSources.map(({ entry }) => entry.code).join(', ')}`
+      );
     }
 
     return allWaypoints;
   }
 
+  async function retryWaypointSource(code) {
+    const failed = failedWaypointSources.find(({ entry }) => entry.code === code);
+    if (!failed || failed.retrying) return;
+
+    failed.retrying = true;
+    renderFIRControls();
+    const { entry } = failed;
+    try {
+      const data = await trackLoad(fetchWaypointData(entry.file, entry.format));
+      failedWaypointSources = failedWaypointSources.filter((item) => item !== failed);
+
+      const added = parseWaypointFeatures(data?.features ?? [], entry.code);
+      const builtIn = [...waypoints.filter((wp) => !wp.custom), ...added];
+      const previousIds = new Map(builtIn.map((wp) => [wp, wp.id]));
+      assignWaypointIds(assignWaypointFIRs(builtIn, firGeoJSON));
+      // A name now repeated across the old and new files gets a suffixed id.
+      builtIn
+        .filter((wp) => previousIds.get(wp) && previousIds.get(wp) !== wp.id)
+        .forEach((wp) =>
+          Object.keys(STATS_TRACKS).forEach((track) => persistWaypointStats(wp, track))
+        );
+      await addWaypointsAtRuntime(added);
+    } catch (error) {
+      console.warn(`Retry of ${entry.file} failed`, error);
+      failed.error = error?.message || 'Failed to load';
+      failed.retrying = false;
+      renderFIRControls();
+    }
+  }
+
+  async function addWaypointsAtRuntime(added) {
+    const now = Date.now();
+    await statsStore?.restoreArchived(archiveKeysFor(added.map((wp) => wp.id)));
+    mergeStoredStats(added);
+    waypoints = [...waypoints, ...added];
+    Object.keys(STATS_TRACKS).forEach((track) => activeScheduler().refresh(added, now, track));
+
+    firOptions = uniqueFIRs(waypoints);
+    added.forEach((wp) => {
+      if (firMetadata.get(wp.fir)?.defaultEnabled !== false) enabledFIRs.add(wp.fir);
+    });
+    updateProjection();
+    renderFIRControls();
+    onFIRSelectionChanged();
+  }
+
+  function parseWaypointFeatures(features, firCode) {
+    return features
+      .map((feature, index) => {
+        const [lon, lat] = feature?.geometry?.coordinates ?? [];
+        return {
+          legacyId: feature?.id ?? `${firCode}-${index}`,
+          name: feature?.properties?.name ?? 'Unknown',
+          fir: feature?.properties?.fir ?? null,
+          declaredFIR: feature?.properties?.fir ?? null,
+          sourceFIR: feature?.properties?.fir ?? firCode,
+          lon,
+          lat,
+        };
+      })
+      .filter((wp) => Number.isFinite(wp.lon) && Number.isFinite(wp.lat));
+  }
+
+  function parseWaypointFile(text, filename) {
+    const format = waypointFileFormat(filename);
+    return format === 'geojson' ? JSON.parse(text) : parseWaypointText(text, format);
+  }
+
+  function customSetCode(filename) {
+    const stem = `${filename}`
+      .replace(/\.[^.]+$/, '')
+      .toUpperCase()
+      .replace(/[^A-Z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, CUSTOM_SET_CONFIG.maxCodeLength);
+    const base = stem || 'CUSTOM';
+    let code = base;
+    for (let suffix = 2; firMetadata.has(code); suffix += 1) {
+      code = `${base}-${suffix}`;
+    }
+    return code;
+  }
+
+  function buildCustomSetWaypoints(set) {
+    const list = parseWaypointFeatures(set.data?.features ?? [], set.code).map((wp) => ({
+      ...wp,
+      fir: set.code,
+      sourceFIR: set.code,
+      firs: [set.code],
+      custom: true,
+    }));
+    return assignWaypointIds(list);
+  }
+
+  function customSetMetadata(set) {
+    return {
+      file: set.file,
+      code: set.code,
+      name: set.name,
+      avName: null,
+      airac: null,
+      defaultEnabled: true,
+      color: null,
+      format: 'geojson',
+      custom: true,
+    };
+  }
+
+  function readCustomWaypointSets() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(CUSTOM_SETS_STORAGE_KEY) || '[]');
+      return Array.isArray(stored) ? stored.filter((set) => set?.code && set?.data) : [];
+    } catch (error) {
+      console.warn('Failed to restore custom waypoint sets', error);
+      return [];
+    }
+  }
+
+  function writeCustomWaypointSets(sets) {
+    localStorage.setItem(CUSTOM_SETS_STORAGE_KEY, JSON.stringify(sets));
+  }
+
+  function restoreCustomWaypointSets() {
+    return readCustomWaypointSets().flatMap((set) => {
+      if (firMetadata.has(set.code)) return [];
+      firMetadata.set(set.code, customSetMetadata(set));
+      return buildCustomSetWaypoints(set);
+    });
+  }
+
+  // `firs` lists every FIR a boundary point touches; `fir` is the primary one.
+  function assignWaypointFIRs(list, firData) {
+    const validator = window.WaypointValidator;
+    const knownFIRs = new Set(
+      list.map((wp) => wp.sourceFIR).filter(Boolean).map((fir) => `${fir}`.toUpperCase())
+    );
+    const firFeatures = validator
+      ? [...knownFIRs].map((fir) => [
+          fir,
+          validator.findFIRFeatures(firData, fir, firMetadata.get(fir)?.avName),
+        ])
+      : [];
+    firOutlines = firFeatures
+      .filter(([fir]) => firMetadata.get(fir)?.color)
+      .map(([fir, features]) => ({ fir, color: firMetadata.get(fir).color, features }));
+
+    list.forEach((wp) => {
+      const containing = firFeatures
+        .filter(([, features]) =>
+          features.some((feature) => validator.geometryContains(wp.lon, wp.lat, feature.geometry))
+        )
+        .map(([fir]) => fir);
+
+      const primary =
+        wp.declaredFIR ??
+        (containing.includes(wp.sourceFIR) || !containing.length ? wp.sourceFIR : containing[0]);
+      wp.fir = primary;
+      wp.firs = [primary, ...containing.filter((fir) => fir !== primary)];
+    });
+
+    boundaryWaypoints = list.filter((wp) => wp.firs.length > 1);
+    return list;
+  }
+
+  function waypointInFIRs(wp, firs) {
+    return (wp.firs ?? [wp.fir]).some((fir) => firs.has(fir));
+  }
+
+  function waypointBaseId(fir, name) {
+    return `${fir}/${`${name}`.trim().toUpperCase()}`;
+  }
+
+  // Ids are FIR + name so progress survives re-ordering; coordinates are
+  // added only when a name repeats within a FIR.
+  function assignWaypointIds(list) {
+    const idFIR = (wp) => wp.sourceFIR ?? wp.fir;
+    const occurrences = new Map();
+    list.forEach((wp) => {
+      const baseId = waypointBaseId(idFIR(wp), wp.name);
+      occurrences.set(baseId, (occurrences.get(baseId) ?? 0) + 1);
+    });
+
+    const used = new Set();
+    list.forEach((wp) => {
+      const baseId = waypointBaseId(idFIR(wp), wp.name);
+      let id =
+        occurrences.get(baseId) > 1
+          ? `${baseId}@${wp.lat.toFixed(4)},${wp.lon.toFixed(4)}`
+          : baseId;
+      for (let suffix = 2; used.has(id); suffix += 1) {
+        id = `${baseId}@${wp.lat.toFixed(4)},${wp.lon.toFixed(4)}#${suffix}`;
+      }
+      used.add(id);
+      wp.id = id;
+    });
+
+    return list;
+  }
+
   function resizeCanvas() {
     const rect = canvas.getBoundingClientRect();
     const parentRect = canvas.parentElement?.getBoundingClientRect();
@@ -192,12 +1078,14 @@
     canvas.width = Math.max(1, Math.floor(width));
     canvas.height = Math.max(1, Math.floor(height));
     updateProjection();
-    fitViewToEPWW();
+    goHome();
     requestRender();
   }
 
   function uniqueFIRs(list) {
-    return Array.from(new Set(list.map((item) => item.fir).filter(Boolean))).sort();
+    return Array.from(
+      new Set(list.flatMap((item) => item.firs ?? [item.fir]).filter(Boolean))
+    ).sort();
   }
 
   function restoreEnabledFIRs(allFIRs) {
@@ -211,7 +1099,8 @@
       console.warn('Failed to restore FIR preferences', error);
     }
 
-    return new Set(allFIRs);
+    const defaults = allFIRs.filter((fir) => firMetadata.get(fir)?.defaultEnabled !== false);
+    return new Set(defaults.length ? defaults : allFIRs);
   }
 
   function defaultStats() {
@@ -228,98 +1117,600 @@
       status: 'red',
       lastStatusChangeAt: 0,
       lastAnswerWasInstant: false,
+      lastResponseMs: null,
+      avgResponseMs: null,
+      lastReviewAt: null,
+      difficulty: null,
+      stability: null,
     };
   }
 
-  function loadWaypointStats(id) {
-    try {
-      const raw = localStorage.getItem(`${QUIZ_STORAGE_PREFIX}${id}`);
-      return raw ? JSON.parse(raw) : null;
-    } catch (error) {
-      console.warn('Failed to load waypoint stats', error);
-      return null;
-    }
+  function currentTrack() {
+    return QUIZ_MODES[quizMode]?.track ?? 'locate';
   }
 
-  function persistWaypointStats(waypoint) {
-    if (!waypoint?.id || !waypoint?.stats) return;
-    try {
-      localStorage.setItem(
-        `${QUIZ_STORAGE_PREFIX}${waypoint.id}`,
-        JSON.stringify(waypoint.stats)
-      );
-    } catch (error) {
-      console.warn('Failed to persist waypoint stats', error);
-    }
+  function getStats(waypoint, track = currentTrack()) {
+    const { statsKey } = STATS_TRACKS[track];
+    if (!waypoint[statsKey]) waypoint[statsKey] = defaultStats();
+    return waypoint[statsKey];
   }
 
-  function updateStatusFromStreaks(stats, now) {
-    const nextStatus = computeStatusFromStreaks(stats);
-    if (nextStatus !== stats.status) {
-      stats.status = nextStatus;
-      stats.lastStatusChangeAt = now;
-    }
+  function setStats(waypoint, track, stats) {
+    waypoint[STATS_TRACKS[track].statsKey] = stats;
   }
 
-  function clamp(value, min, max) {
-    return Math.min(Math.max(value, min), max);
+  function loadWaypointStats(id, track = 'locate') {
+    return statsStore?.get(track, id) ?? null;
   }
 
-  function computeForgetFactor(stats, now) {
-    const referenceTs = Number.isFinite(stats.lastSeenAt) ? stats.lastSeenAt : now;
-    const elapsedDays = Math.max(0, (now - referenceTs) / FORGETTING_CONFIG.dayMs);
-    const halfLifeDays =
-      FORGETTING_CONFIG.halfLifeDays[stats.status] ?? FORGETTING_CONFIG.halfLifeDays.red;
-    const factor = 1 - Math.exp((-elapsedDays * Math.LN2) / halfLifeDays);
-    return clamp(factor, 0, 1);
+  function persistWaypointStats(waypoint, track = currentTrack()) {
+    const { statsKey } = STATS_TRACKS[track];
+    if (!waypoint?.id || !waypoint?.[statsKey]) return;
+    statsStore?.put(track, waypoint.id, waypoint[statsKey]);
   }
 
-  function masteryFromStats(stats) {
-    const base =
-      FORGETTING_CONFIG.baseMastery[stats.status] ?? FORGETTING_CONFIG.baseMastery.red;
-    return base + 0.03 * stats.correctStreak - 0.05 * stats.wrongStreak;
+  function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
   }
 
-  function statusFromMastery(value) {
-    if (value < 0.45) return 'red';
-    if (value < 0.8) return 'yellow';
-    return 'green';
+  function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
   }
 
-  function applyTimeDecayAndDowngrades(points, now) {
-    if (!points?.length) return;
-    const maxDowngrades = Math.max(
-      FORGETTING_CONFIG.maxDowngradesBase,
-      Math.ceil(points.length * FORGETTING_CONFIG.maxDowngradesPercent)
-    );
-
-    const downgradeCandidates = [];
+  function openStatsDatabase() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(STATS_DB_NAME, STATS_DB_VERSION);
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+        for (let version = event.oldVersion; version < STATS_DB_VERSION; version += 1) {
+          STATS_DB_MIGRATIONS[version](db, request.transaction);
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('Stats database upgrade is blocked'));
+    });
+  }
 
-    points.forEach((wp) => {
-      if (!wp.stats) {
-        wp.stats = normalizeStats(null, now);
-      } else {
-        wp.stats = normalizeStats(wp.stats, now);
+  function createIndexedDBStatsBackend(db) {
+    return {
+      name: 'indexedDB',
+      async getAll() {
+        const transaction = db.transaction(STATS_OBJECT_STORE, 'readonly');
+        return requestToPromise(transaction.objectStore(STATS_OBJECT_STORE).getAll());
+      },
+      async putMany(records) {
+        const transaction = db.transaction(STATS_OBJECT_STORE, 'readwrite');
+        const store = transaction.objectStore(STATS_OBJECT_STORE);
+        records.forEach((record) => store.put(record));
+        await transactionDone(transaction);
+      },
+      async getMeta(key) {
+        const transaction = db.transaction(META_OBJECT_STORE, 'readonly');
+        const entry = await requestToPromise(transaction.objectStore(META_OBJECT_STORE).get(key));
+        return entry?.value ?? null;
+      },
+      async setMeta(key, value) {
+        const transaction = db.transaction(META_OBJECT_STORE, 'readwrite');
+        transaction.objectStore(META_OBJECT_STORE).put({ key, value });
+        await transactionDone(transaction);
+      },
+      async archiveMany(records) {
+        const transaction = db.transaction([STATS_OBJECT_STORE, ARCHIVE_OBJECT_STORE], 'readwrite');
+        const stats = transaction.objectStore(STATS_OBJECT_STORE);
+        const archive = transaction.objectStore(ARCHIVE_OBJECT_STORE);
+        records.forEach((record) => {
+          stats.delete([record.track, record.id]);
+          archive.put(record);
+        });
+        await transactionDone(transaction);
+      },
+      async takeArchived(keys) {
+        const transaction = db.transaction(ARCHIVE_OBJECT_STORE, 'readwrite');
+        const archive = transaction.objectStore(ARCHIVE_OBJECT_STORE);
+        const found = await Promise.all(
+          keys.map(({ track, id }) => requestToPromise(archive.get([track, id])))
+        );
+        const records = found.filter(Boolean);
+        records.forEach(({ track, id }) => archive.delete([track, id]));
+        await transactionDone(transaction);
+        return records;
+      },
+      async getJournal() {
+        const transaction = db.transaction(
+          [JOURNAL_OBJECT_STORE, JOURNAL_DAILY_OBJECT_STORE],
+          'readonly'
+        );
+        const [entries, daily] = await Promise.all([
+          requestToPromise(transaction.objectStore(JOURNAL_OBJECT_STORE).getAll()),
+          requestToPromise(transaction.objectStore(JOURNAL_DAILY_OBJECT_STORE).getAll()),
+        ]);
+        return { entries, daily };
+      },
+      async appendJournal(entries) {
+        const transaction = db.transaction(JOURNAL_OBJECT_STORE, 'readwrite');
+        const store = transaction.objectStore(JOURNAL_OBJECT_STORE);
+        entries.forEach(({ seq, ...entry }) => store.add(entry));
+        await transactionDone(transaction);
+      },
+      async compactJournal({ cutoffAt, daily, dailyCutoffDay }) {
+        const transaction = db.transaction(
+          [JOURNAL_OBJECT_STORE, JOURNAL_DAILY_OBJECT_STORE],
+          'readwrite'
+        );
+        transaction
+          .objectStore(JOURNAL_OBJECT_STORE)
+          .index('at')
+          .openCursor(IDBKeyRange.upperBound(cutoffAt, true)).onsuccess = (event) => {
+          const cursor = event.target.result;
+          if (!cursor) return;
+          cursor.delete();
+          cursor.continue();
+        };
+
+        const dailyStore = transaction.objectStore(JOURNAL_DAILY_OBJECT_STORE);
+        daily.forEach((record) => dailyStore.put(record));
+        dailyStore.openCursor().onsuccess = (event) => {
+          const cursor = event.target.result;
+          if (!cursor) return;
+          if (cursor.value.day < dailyCutoffDay) cursor.delete();
+          cursor.continue();
+        };
+        await transactionDone(transaction);
+      },
+    };
+  }
+
+  function readLocalStorageStatsRecords() {
+    return listStoredStatsKeys()
+      .map((key) => {
+        const parsed = parseStatsStorageKey(key);
+        if (!parsed) return null;
+        try {
+          const stats = JSON.parse(localStorage.getItem(key));
+          return stats ? { ...parsed, stats, key } : null;
+        } catch (error) {
+          console.warn(`Failed to read ${key}`, error);
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  // Used when IndexedDB is unavailable (some private browsing modes).
+  function createLocalStorageStatsBackend() {
+    return {
+      name: 'localStorage',
+      async getAll() {
+        return readLocalStorageStatsRecords().map(({ track, id, stats }) => ({
+          track,
+          id,
+          stats,
+        }));
+      },
+      async putMany(records) {
+        records.forEach(({ track, id, stats }) => {
+          localStorage.setItem(`${STATS_TRACKS[track].storagePrefix}${id}`, JSON.stringify(stats));
+        });
+      },
+      async getMeta(key) {
+        return JSON.parse(localStorage.getItem(`${META_STORAGE_PREFIX}${key}`) || 'null');
+      },
+      async setMeta(key, value) {
+        localStorage.setItem(`${META_STORAGE_PREFIX}${key}`, JSON.stringify(value));
+      },
+      async archiveMany(records) {
+        records.forEach((record) => {
+          localStorage.removeItem(`${STATS_TRACKS[record.track].storagePrefix}${record.id}`);
+          localStorage.setItem(
+            `${ARCHIVE_STORAGE_PREFIX}${record.track}:${record.id}`,
+            JSON.stringify(record)
+          );
+        });
+      },
+      async takeArchived(keys) {
+        return keys
+          .map(({ track, id }) => {
+            const key = `${ARCHIVE_STORAGE_PREFIX}${track}:${id}`;
+            const record = JSON.parse(localStorage.getItem(key) || 'null');
+            if (record) localStorage.removeItem(key);
+            return record;
+          })
+          .filter(Boolean);
+      },
+      async getJournal() {
+        const stored = JSON.parse(localStorage.getItem(JOURNAL_STORAGE_KEY) || 'null');
+        return { entries: stored?.entries ?? [], daily: stored?.daily ?? [] };
+      },
+      async appendJournal(entries) {
+        const journal = await this.getJournal();
+        journal.entries.push(...entries);
+        const overflow = journal.entries.length - JOURNAL_CONFIG.localStorageMaxEntries;
+        if (overflow > 0) {
+          const daily = new Map(journal.daily.map((record) => [dailyKey(record), record]));
+          foldJournalEntries(journal.entries.splice(0, overflow), daily).forEach((record, key) =>
+            daily.set(key, record)
+          );
+          journal.daily = [...daily.values()];
+        }
+        localStorage.setItem(JOURNAL_STORAGE_KEY, JSON.stringify(journal));
+      },
+      async compactJournal({ cutoffAt, daily, dailyCutoffDay }) {
+        const journal = await this.getJournal();
+        const byKey = new Map(journal.daily.map((record) => [dailyKey(record), record]));
+        daily.forEach((record) => byKey.set(dailyKey(record), record));
+        localStorage.setItem(
+          JOURNAL_STORAGE_KEY,
+          JSON.stringify({
+            entries: journal.entries.filter((entry) => entry.at >= cutoffAt),
+            daily: [...byKey.values()].filter((record) => record.day >= dailyCutoffDay),
+          })
+        );
+      },
+    };
+  }
+
+  // One-time move of legacy localStorage stats into IndexedDB.
+  async function importLocalStorageStats(backend) {
+    if (await backend.getMeta(LOCAL_STORAGE_IMPORT_META_KEY)) return;
+    // Old index-based ids have to be remapped first; see migrateLegacyWaypointIds.
+    try {
+      if (!localStorage.getItem(ID_MIGRATION_STORAGE_KEY)) return;
+    } catch (error) {
+      console.warn('Failed to read id migration state', error);
+      return;
+    }
+
+    const legacy = readLocalStorageStatsRecords();
+    const answered = new Set(
+      (await backend.getAll())
+        .filter(({ stats }) => stats?.hasAnswered)
+        .map(({ track, id }) => `${track}:${id}`)
+    );
+    const records = legacy
+      .filter(({ track, id }) => !answered.has(`${track}:${id}`))
+      .map(({ track, id, stats }) => ({ track, id, stats, updatedAt: Date.now() }));
+
+    if (records.length) {
+      await backend.putMany(records);
+    }
+
+    await backend.setMeta(LOCAL_STORAGE_IMPORT_META_KEY, {
+      importedAt: Date.now(),
+      count: records.length,
+    });
+
+    legacy.forEach(({ key }) => {
+      try {
+        localStorage.removeItem(key);
+      } catch (error) {
+        console.warn(`Failed to remove ${key}`, error);
+      }
+    });
+  }
+
+  function createStatsStore(backend) {
+    const cache = new Map();
+    const pending = new Map();
+    let flushTimer = null;
+    let flushing = Promise.resolve();
+
+    const keyOf = (track, id) => `${track}:${id}`;
+
+    function scheduleFlush() {
+      if (flushTimer) return;
+      flushTimer = setTimeout(flush, STATS_FLUSH_DELAY_MS);
+    }
+
+    function flush() {
+      if (flushTimer) {
+        clearTimeout(flushTimer);
+        flushTimer = null;
+      }
+      if (!pending.size) return flushing;
+
+      const batch = [...pending.values()];
+      pending.clear();
+      flushing = flushing
+        .then(() => backend.putMany(batch))
+        .catch((error) => console.warn('Failed to persist waypoint stats', error));
+      return flushing;
+    }
+
+    return {
+      backendName: backend.name,
+      async load() {
+        const records = await backend.getAll();
+        records.forEach((record) => cache.set(keyOf(record.track, record.id), record));
+      },
+      get(track, id) {
+        return cache.get(keyOf(track, id))?.stats ?? null;
+      },
+      entries() {
+        return [...cache.values()];
+      },
+      put(track, id, stats) {
+        const record = { track, id, stats, updatedAt: Date.now() };
+        cache.set(keyOf(track, id), record);
+        pending.set(keyOf(track, id), record);
+        scheduleFlush();
+      },
+      archive(keys) {
+        const records = keys
+          .filter(({ track, id }) => cache.has(keyOf(track, id)))
+          .map((key) => ({ ...cache.get(keyOf(key.track, key.id)), ...key, archivedAt: Date.now() }));
+        records.forEach(({ track, id }) => {
+          cache.delete(keyOf(track, id));
+          pending.delete(keyOf(track, id));
+        });
+        if (!records.length) return flushing;
+
+        flushing = flushing
+          .then(() => backend.archiveMany(records))
+          .catch((error) => console.warn('Failed to archive waypoint stats', error));
+        return flushing;
+      },
+      async restoreArchived(keys) {
+        const records = await backend.takeArchived(keys);
+        records.forEach(({ track, id, stats }) => this.put(track, id, stats));
+        return records;
+      },
+      flush,
+    };
+  }
+
+  async function openStorageBackend() {
+    try {
+      if (!window.indexedDB) {
+        throw new Error('IndexedDB is not available');
+      }
+      const backend = createIndexedDBStatsBackend(await openStatsDatabase());
+      await importLocalStorageStats(backend);
+      return backend;
+    } catch (error) {
+      console.warn('Falling back to localStorage for waypoint stats', error);
+      return createLocalStorageStatsBackend();
+    }
+  }
+
+  async function openStatsStore(backend) {
+    const store = createStatsStore(backend);
+    await store.load();
+    return store;
+  }
+
+  function dayStamp(timestamp) {
+    return new Date(timestamp).toISOString().slice(0, 10);
+  }
+
+  function dailyKey({ day, mode, targetId }) {
+    return `${day}|${mode}|${targetId}`;
+  }
+
+  // Returns only the totals that changed.
+  function foldJournalEntries(entries, daily) {
+    const folded = new Map();
+    entries.forEach((entry) => {
+      const record = {
+        day: dayStamp(entry.at),
+        mode: entry.mode,
+        targetId: entry.targetId,
+      };
+      const key = dailyKey(record);
+      const total = folded.get(key) ??
+        (daily.has(key) ? { ...daily.get(key) } : null) ?? {
+          ...record,
+          attempts: 0,
+          correct: 0,
+          responseMsTotal: 0,
+        };
+      total.attempts += 1;
+      total.correct += entry.correct ? 1 : 0;
+      total.responseMsTotal += Number.isFinite(entry.responseMs) ? entry.responseMs : 0;
+      if (entry.missGrade) {
+        total.misses = { ...total.misses };
+        total.misses[entry.missGrade] = (total.misses[entry.missGrade] ?? 0) + 1;
+      }
+      folded.set(key, total);
+    });
+    return folded;
+  }
+
+  // Recent answers are kept verbatim; older ones fold into per-day totals.
+  function createAnswerJournal(backend) {
+    const entries = [];
+    const daily = new Map();
+    const pending = [];
+    let flushTimer = null;
+    let writing = Promise.resolve();
+    const maxEntries =
+      backend.name === 'localStorage'
+        ? JOURNAL_CONFIG.localStorageMaxEntries
+        : JOURNAL_CONFIG.maxEntries;
+
+    function enqueue(task) {
+      writing = writing
+        .then(task)
+        .catch((error) => console.warn('Failed to write answer journal', error));
+      return writing;
+    }
+
+    function flush() {
+      if (flushTimer) {
+        clearTimeout(flushTimer);
+        flushTimer = null;
+      }
+      if (!pending.length) return writing;
+      const batch = pending.splice(0);
+      return enqueue(() => backend.appendJournal(batch));
+    }
+
+    function compact(now = Date.now()) {
+      let cutoffAt = now - JOURNAL_CONFIG.retentionMs;
+      if (entries.length > maxEntries) {
+        cutoffAt = Math.max(cutoffAt, entries[entries.length - maxEntries].at);
       }
 
-      wp.stats.lastSessionAt = now;
+      let dropCount = 0;
+      while (dropCount < entries.length && entries[dropCount].at < cutoffAt) dropCount += 1;
+      const folded = foldJournalEntries(entries.splice(0, dropCount), daily);
+
+      const dailyCutoffDay = dayStamp(now - JOURNAL_CONFIG.dailyRetentionDays * 86400000);
+      folded.forEach((record, key) => daily.set(key, record));
+      daily.forEach((record, key) => {
+        if (record.day < dailyCutoffDay) daily.delete(key);
+      });
+
+      if (!folded.size) return writing;
+      flush();
+      return enqueue(() =>
+        backend.compactJournal({ cutoffAt, daily: [...folded.values()], dailyCutoffDay })
+      );
+    }
+
+    return {
+      async load() {
+        const stored = await backend.getJournal();
+        entries.push(...stored.entries.sort((a, b) => a.at - b.at));
+        stored.daily.forEach((record) => daily.set(dailyKey(record), record));
+      },
+      append(entry) {
+        entries.push(entry);
+        pending.push(entry);
+        if (!flushTimer) flushTimer = setTimeout(flush, STATS_FLUSH_DELAY_MS);
+        if (entries.length > maxEntries * 1.1) compact();
+      },
+      entries({ targetId, mode, since = 0, limit = Infinity } = {}) {
+        const matches = [];
+        for (let i = entries.length - 1; i >= 0 && matches.length < limit; i -= 1) {
+          const entry = entries[i];
+          if (entry.at < since) break;
+          if (targetId && entry.targetId !== targetId) continue;
+          if (mode && entry.mode !== mode) continue;
+          matches.push(entry);
+        }
+        return matches.reverse();
+      },
+      dailyTotals() {
+        return [...daily.values()];
+      },
+      compact,
+      flush,
+    };
+  }
+
+  async function openAnswerJournal(backend) {
+    const journal = createAnswerJournal(backend);
+    try {
+      await journal.load();
+      journal.compact();
+    } catch (error) {
+      console.warn('Failed to load answer journal', error);
+    }
+    return journal;
+  }
+
+  function currentResponseMs(target = currentTarget, now = Date.now()) {
+    if (!target || shownTargetId !== target.id || !targetShownAt) return null;
+    return Math.max(0, now - targetShownAt);
+  }
+
+  function recordAnswer({
+    target,
+    answered = null,
+    correct,
+    offsetNm = null,
+    missGrade = null,
+    typed = null,
+  }) {
+    if (!answerJournal || !target) return;
+    const now = Date.now();
+    answerJournal.append({
+      at: now,
+      mode: quizMode,
+      track: currentTrack(),
+      targetId: target.id,
+      tappedId: answered?.id ?? null,
+      typed,
+      correct: Boolean(correct),
+      responseMs: currentResponseMs(target, now),
+      offsetNm: Number.isFinite(offsetNm) ? Number(offsetNm.toFixed(2)) : null,
+      missGrade,
+      revealActive: currentWrongCount >= QUIZ_CONFIG.revealAfterWrongs,
+    });
+  }
+
+  function updateStatusFromStreaks(stats, now) {
+    const nextStatus = activeScheduler().status(stats, now);
+    if (nextStatus !== stats.status) {
+      stats.status = nextStatus;
+      stats.lastStatusChangeAt = now;
+    }
+  }
+
+  function clamp(value, min, max) {
+    return Math.min(Math.max(value, min), max);
+  }
+
+  function computeForgetFactor(stats, now) {
+    const referenceTs = Number.isFinite(stats.lastSeenAt) ? stats.lastSeenAt : now;
+    const elapsedDays = Math.max(0, (now - referenceTs) / FORGETTING_CONFIG.dayMs);
+    const halfLifeDays =
+      FORGETTING_CONFIG.halfLifeDays[stats.status] ?? FORGETTING_CONFIG.halfLifeDays.red;
+    const factor = 1 - Math.exp((-elapsedDays * Math.LN2) / halfLifeDays);
+    return clamp(factor, 0, 1);
+  }
+
+  function masteryFromStats(stats) {
+    const base =
+      FORGETTING_CONFIG.baseMastery[stats.status] ?? FORGETTING_CONFIG.baseMastery.red;
+    return base + 0.03 * stats.correctStreak - 0.05 * stats.wrongStreak;
+  }
+
+  function statusFromMastery(value) {
+    if (value < 0.45) return 'red';
+    if (value < 0.8) return 'yellow';
+    return 'green';
+  }
+
+  function applyTimeDecayAndDowngrades(points, now, track = 'locate') {
+    if (!points?.length) return;
+    const maxDowngrades = Math.max(
+      FORGETTING_CONFIG.maxDowngradesBase,
+      Math.ceil(points.length * FORGETTING_CONFIG.maxDowngradesPercent)
+    );
+
+    const downgradeCandidates = [];
+
+    points.forEach((wp) => {
+      const stats = normalizeStats(wp[STATS_TRACKS[track].statsKey], now);
+      setStats(wp, track, stats);
+
+      stats.lastSessionAt = now;
 
-      const forgetFactor = computeForgetFactor(wp.stats, now);
-      wp.stats.debugForgetFactor = forgetFactor;
+      const forgetFactor = computeForgetFactor(stats, now);
+      stats.debugForgetFactor = forgetFactor;
 
-      if (wp.stats.status === 'red') {
-        persistWaypointStats(wp);
+      if (stats.status === 'red') {
+        persistWaypointStats(wp, track);
         return;
       }
 
-      const mastery = masteryFromStats(wp.stats);
+      const mastery = masteryFromStats(stats);
       const decayAmount =
-        FORGETTING_CONFIG.decayAmountByStatus[wp.stats.status] ?? 0;
+        FORGETTING_CONFIG.decayAmountByStatus[stats.status] ?? 0;
       const masteryDecayed = mastery - forgetFactor * decayAmount;
       const decayedStatus = statusFromMastery(masteryDecayed);
 
       const rank = { red: 0, yellow: 1, green: 2 };
-      if (rank[decayedStatus] < rank[wp.stats.status]) {
+      if (rank[decayedStatus] < rank[stats.status]) {
         downgradeCandidates.push({
           wp,
           forgetFactor,
@@ -327,38 +1718,39 @@
         });
       }
 
-      persistWaypointStats(wp);
+      persistWaypointStats(wp, track);
     });
 
     downgradeCandidates.sort((a, b) => b.forgetFactor - a.forgetFactor);
     const applied = downgradeCandidates.slice(0, maxDowngrades);
 
     applied.forEach(({ wp, decayedStatus }) => {
-      const prevStatus = wp.stats.status;
-      wp.stats.status = decayedStatus;
-      wp.stats.lastStatusChangeAt = now;
+      const stats = getStats(wp, track);
+      const prevStatus = stats.status;
+      stats.status = decayedStatus;
+      stats.lastStatusChangeAt = now;
 
       if (prevStatus === 'green' && decayedStatus === 'yellow') {
-        wp.stats.correctStreak = Math.min(wp.stats.correctStreak, 1);
-        wp.stats.wrongStreak = 0;
+        stats.correctStreak = Math.min(stats.correctStreak, 1);
+        stats.wrongStreak = 0;
       } else if (prevStatus === 'yellow' && decayedStatus === 'red') {
-        wp.stats.correctStreak = 0;
-        wp.stats.wrongStreak = 0;
+        stats.correctStreak = 0;
+        stats.wrongStreak = 0;
       }
 
-      const dueAt = Number.isFinite(wp.stats.dueAt) ? wp.stats.dueAt : Infinity;
-      wp.stats.dueAt = Math.min(dueAt, now + FORGETTING_CONFIG.downgradeCooldownMs);
-      persistWaypointStats(wp);
+      const dueAt = Number.isFinite(stats.dueAt) ? stats.dueAt : Infinity;
+      stats.dueAt = Math.min(dueAt, now + FORGETTING_CONFIG.downgradeCooldownMs);
+      persistWaypointStats(wp, track);
     });
 
     if (DEBUG_FORGETTING) {
       const examples = applied.slice(0, 3).map(({ wp, decayedStatus }) => ({
         id: wp.id,
         status: decayedStatus,
-        forgetFactor: wp.stats.debugForgetFactor,
+        forgetFactor: getStats(wp, track).debugForgetFactor,
       }));
       console.log(
-        '[forgetting] downgrades applied',
+        `[forgetting] ${track} downgrades applied`,
         applied.length,
         'of',
         downgradeCandidates.length,
@@ -370,7 +1762,11 @@
   function computeStatusFromStreaks(stats) {
     const merged = { ...defaultStats(), ...stats };
 
-    if (merged.correctStreak >= 3 && merged.wrongStreak === 0) {
+    const recallIsFast =
+      !Number.isFinite(merged.avgResponseMs) ||
+      merged.avgResponseMs <= QUIZ_CONFIG.greenMaxAvgResponseMs;
+
+    if (merged.correctStreak >= 3 && merged.wrongStreak === 0 && recallIsFast) {
       return 'green';
     }
 
@@ -429,6 +1825,11 @@
     }
 
     merged.lastAnswerWasInstant = Boolean(merged.lastAnswerWasInstant);
+    merged.lastResponseMs = Number.isFinite(merged.lastResponseMs) ? merged.lastResponseMs : null;
+    merged.avgResponseMs = Number.isFinite(merged.avgResponseMs) ? merged.avgResponseMs : null;
+    merged.lastReviewAt = Number.isFinite(merged.lastReviewAt) ? merged.lastReviewAt : null;
+    merged.difficulty = Number.isFinite(merged.difficulty) ? merged.difficulty : null;
+    merged.stability = Number.isFinite(merged.stability) ? merged.stability : null;
 
     return merged;
   }
@@ -436,390 +1837,2021 @@
   function mergeStoredStats(waypointList) {
     const now = Date.now();
     waypointList.forEach((wp) => {
-      const stored = loadWaypointStats(wp.id);
-      wp.stats = normalizeStats(stored, now);
-      persistWaypointStats(wp);
+      Object.keys(STATS_TRACKS).forEach((track) => {
+        const stored = loadWaypointStats(wp.id, track);
+        setStats(wp, track, normalizeStats(stored, now));
+        persistWaypointStats(wp, track);
+      });
     });
   }
 
-  function persistEnabledFIRs() {
+  function restoreQuizMode() {
     try {
-      localStorage.setItem(STORAGE_KEY, JSON.stringify([...enabledFIRs]));
+      const stored = localStorage.getItem(QUIZ_MODE_STORAGE_KEY);
+      if (stored && QUIZ_MODES[stored]) {
+        return stored;
+      }
     } catch (error) {
-      console.warn('Failed to persist FIR preferences', error);
+      console.warn('Failed to restore quiz mode', error);
     }
+
+    return 'tap';
   }
 
-  function renderFIRControls() {
-    if (!firContent) return;
-    firContent.innerHTML = '';
+  function persistQuizMode() {
+    try {
+      localStorage.setItem(QUIZ_MODE_STORAGE_KEY, quizMode);
+    } catch (error) {
+      console.warn('Failed to persist quiz mode', error);
+    }
+  }
 
-    if (!firOptions.length) {
-      firContent.textContent = 'No FIR data available.';
-      return;
+  function restoreConfusions() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(CONFUSION_STORAGE_KEY) || '{}');
+      return stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {};
+    } catch (error) {
+      console.warn('Failed to restore confusion pairs', error);
+      return {};
     }
+  }
 
-    const actions = document.createElement('div');
-    actions.className = 'drawer-actions';
+  function persistConfusions() {
+    try {
+      localStorage.setItem(CONFUSION_STORAGE_KEY, JSON.stringify(confusionCounts));
+    } catch (error) {
+      console.warn('Failed to persist confusion pairs', error);
+    }
+  }
 
-    const selectAllButton = document.createElement('button');
-    selectAllButton.type = 'button';
-    selectAllButton.textContent = 'Select all';
-    selectAllButton.addEventListener('click', () => {
-      enabledFIRs = new Set(firOptions);
-      syncFIRControls();
-      onFIRSelectionChanged();
-    });
+  function recordConfusion(targetId, confusedId) {
+    if (!targetId || !confusedId || targetId === confusedId) return;
+    const partners = confusionCounts[targetId] ?? {};
+    partners[confusedId] = (partners[confusedId] ?? 0) + 1;
+    confusionCounts[targetId] = partners;
+    persistConfusions();
+  }
 
-    const selectNoneButton = document.createElement('button');
-    selectNoneButton.type = 'button';
-    selectNoneButton.textContent = 'Select none';
-    selectNoneButton.addEventListener('click', () => {
-      enabledFIRs = new Set();
-      syncFIRControls();
-      onFIRSelectionChanged();
+  function forgetConfusion(idA, idB) {
+    [
+      [idA, idB],
+      [idB, idA],
+    ].forEach(([targetId, partnerId]) => {
+      if (!confusionCounts[targetId]) return;
+      delete confusionCounts[targetId][partnerId];
+      if (!Object.keys(confusionCounts[targetId]).length) delete confusionCounts[targetId];
     });
+    persistConfusions();
+  }
 
-    actions.append(selectAllButton, selectNoneButton);
-    firContent.appendChild(actions);
-
-    const firList = document.createElement('div');
-    firList.className = 'fir-list';
-
-    firOptions.forEach((fir) => {
-      const option = document.createElement('label');
-      option.className = 'fir-option';
-
-      const checkbox = document.createElement('input');
-      checkbox.type = 'checkbox';
-      checkbox.value = fir;
-      checkbox.checked = enabledFIRs.has(fir);
-      checkbox.addEventListener('change', () => {
-        if (checkbox.checked) {
-          enabledFIRs.add(fir);
-        } else {
-          enabledFIRs.delete(fir);
-        }
-        onFIRSelectionChanged();
+  function confusionPairs() {
+    const pairs = new Map();
+    Object.entries(confusionCounts).forEach(([targetId, partners]) => {
+      Object.entries(partners ?? {}).forEach(([partnerId, count]) => {
+        const ids = [targetId, partnerId].sort();
+        const key = ids.join('|');
+        const pair = pairs.get(key) ?? { ids, count: 0 };
+        pair.count += count;
+        pairs.set(key, pair);
       });
+    });
+    return [...pairs.values()].sort((a, b) => b.count - a.count);
+  }
 
-      const label = document.createElement('span');
-      label.textContent = fir;
+  function confusedPartnerIds(waypointId) {
+    const counts = new Map(Object.entries(confusionCounts[waypointId] ?? {}));
 
-      option.append(checkbox, label);
-      firList.appendChild(option);
+    Object.entries(confusionCounts).forEach(([targetId, partners]) => {
+      const count = partners?.[waypointId];
+      if (targetId !== waypointId && count) {
+        counts.set(targetId, (counts.get(targetId) ?? 0) + count);
+      }
     });
 
-    firContent.appendChild(firList);
+    return [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([id]) => id);
   }
 
-  function syncFIRControls() {
-    firContent?.querySelectorAll('input[type="checkbox"]').forEach((input) => {
-      input.checked = enabledFIRs.has(input.value);
-    });
-  }
+  function parseStatsStorageKey(key) {
+    if (!key?.startsWith(QUIZ_STORAGE_PREFIX)) return null;
 
-  function setFIRPanelOpen(open) {
-    if (!firPanel || !firOverlay || !firFab) return;
-    firPanelOpen = open;
-    firPanel.classList.toggle('open', open);
-    firOverlay.classList.toggle('active', open);
-    firFab.setAttribute('aria-expanded', open ? 'true' : 'false');
-    firOverlay.setAttribute('aria-hidden', open ? 'false' : 'true');
+    const tracks = Object.entries(STATS_TRACKS).sort(
+      (a, b) => b[1].storagePrefix.length - a[1].storagePrefix.length
+    );
+    const match = tracks.find(([, { storagePrefix }]) => key.startsWith(storagePrefix));
+    if (!match) return null;
+
+    const [track, { storagePrefix }] = match;
+    return { track, id: key.slice(storagePrefix.length) };
   }
 
-  function toggleFIRPanel() {
-    setFIRPanelOpen(!firPanelOpen);
+  function listStoredStatsKeys() {
+    const keys = [];
+    try {
+      for (let i = 0; i < localStorage.length; i += 1) {
+        const key = localStorage.key(i);
+        if (key?.startsWith(QUIZ_STORAGE_PREFIX)) keys.push(key);
+      }
+    } catch (error) {
+      console.warn('Failed to list stored waypoint stats', error);
+    }
+    return keys;
   }
 
-  function setupFIRPanelControls() {
-    setFIRPanelOpen(false);
+  // One-time move of stats from the old index-based ids (`EPWW-12`).
+  function migrateLegacyWaypointIds(waypointList) {
+    // With a file missing its records would look unmatched; wait for a full load.
+    if (failedWaypointSources.length) return null;
 
-    firFab?.addEventListener('click', (event) => {
-      event.stopPropagation();
-      toggleFIRPanel();
-    });
-
-    firOverlay?.addEventListener('click', () => setFIRPanelOpen(false));
-  }
+    try {
+      if (localStorage.getItem(ID_MIGRATION_STORAGE_KEY)) return null;
+    } catch (error) {
+      console.warn('Failed to read id migration state', error);
+      return null;
+    }
 
-  function updateVisibleWaypoints() {
-    visibleWaypoints = enabledFIRs.size
-      ? waypoints.filter((wp) => enabledFIRs.has(wp.fir))
-      : [];
-  }
+    const currentIds = new Set(waypointList.map((wp) => wp.id));
+    const byLegacyId = new Map(
+      waypointList
+        .filter((wp) => wp.legacyId !== undefined && `${wp.legacyId}` !== wp.id)
+        .map((wp) => [`${wp.legacyId}`, wp])
+    );
 
-  function wrongInterval(streak) {
-    if (streak <= 0) return QUIZ_CONFIG.wrongIntervalsMs[0];
-    const index = Math.min(streak - 1, QUIZ_CONFIG.wrongIntervalsMs.length - 1);
-    return QUIZ_CONFIG.wrongIntervalsMs[index];
-  }
+    const report = { completedAt: Date.now(), migrated: 0, unmatched: [] };
 
-  function baseCorrectInterval(wrongsBeforeCorrect) {
-    if (wrongsBeforeCorrect === 0) return QUIZ_CONFIG.correctNoWrongMs;
-    if (wrongsBeforeCorrect <= 2) return QUIZ_CONFIG.correctWithWrongMs;
-    return QUIZ_CONFIG.correctWithWrongMs;
-  }
+    try {
+      listStoredStatsKeys().forEach((key) => {
+        const parsed = parseStatsStorageKey(key);
+        if (!parsed || currentIds.has(parsed.id)) return;
+
+        const raw = localStorage.getItem(key);
+        const target = byLegacyId.get(parsed.id);
+        const targetKey = target
+          ? `${STATS_TRACKS[parsed.track].storagePrefix}${target.id}`
+          : null;
+
+        if (target && localStorage.getItem(targetKey) === null) {
+          localStorage.setItem(targetKey, raw);
+          report.migrated += 1;
+        } else {
+          localStorage.setItem(`${UNMATCHED_STATS_PREFIX}${parsed.track}:${parsed.id}`, raw);
+          report.unmatched.push({ id: parsed.id, track: parsed.track });
+        }
 
-  function applyWrong(waypoint) {
-    if (!waypoint?.stats) waypoint.stats = defaultStats();
-    const now = Date.now();
-    waypoint.stats.wrongStreak += 1;
-    waypoint.stats.correctStreak = 0;
-    waypoint.stats.hasAnswered = true;
-    waypoint.stats.lastSeenAt = now;
-    waypoint.stats.lastSessionAt = now;
-    waypoint.stats.lastAnswerWasInstant = false;
-    waypoint.stats.dueAt = now + wrongInterval(waypoint.stats.wrongStreak);
-    waypoint.stats.lastShownAt = now;
-    updateStatusFromStreaks(waypoint.stats, now);
-    persistWaypointStats(waypoint);
-    updateStatusCounters();
-  }
+        localStorage.removeItem(key);
+      });
 
-  function applyCorrect(waypoint, wrongsBeforeCorrect) {
-    if (!waypoint?.stats) waypoint.stats = defaultStats();
-    const now = Date.now();
-    waypoint.stats.wrongStreak = 0;
-    waypoint.stats.correctStreak += 1;
-    waypoint.stats.hasAnswered = true;
-    waypoint.stats.lastSeenAt = now;
-    waypoint.stats.lastSessionAt = now;
-    waypoint.stats.lastCorrectAt = now;
-    waypoint.stats.lastAnswerWasInstant = wrongsBeforeCorrect === 0;
+      const remapId = (id) => byLegacyId.get(id)?.id ?? id;
+      const confusions = restoreConfusions();
+      const remapped = {};
+      Object.entries(confusions).forEach(([targetId, partners]) => {
+        const entry = (remapped[remapId(targetId)] ??= {});
+        Object.entries(partners ?? {}).forEach(([partnerId, count]) => {
+          const id = remapId(partnerId);
+          entry[id] = (entry[id] ?? 0) + count;
+        });
+      });
+      localStorage.setItem(CONFUSION_STORAGE_KEY, JSON.stringify(remapped));
 
-    const base = baseCorrectInterval(wrongsBeforeCorrect);
-    const streakMultiplier =
-      waypoint.stats.correctStreak > 1
-        ? Math.pow(QUIZ_CONFIG.correctStreakMultiplier, waypoint.stats.correctStreak - 1)
-        : 1;
+      localStorage.setItem(ID_MIGRATION_STORAGE_KEY, JSON.stringify(report));
+    } catch (error) {
+      console.warn('Failed to migrate waypoint ids', error);
+      return null;
+    }
 
-    const interval = Math.min(base * streakMultiplier, QUIZ_CONFIG.maxCorrectIntervalMs);
+    if (report.unmatched.length) {
+      console.warn('Unmatched waypoint stats after id migration', report.unmatched);
+    }
 
-    waypoint.stats.dueAt = now + interval;
-    waypoint.stats.lastShownAt = now;
-    updateStatusFromStreaks(waypoint.stats, now);
-    persistWaypointStats(waypoint);
-    updateStatusCounters();
+    return report;
   }
 
-  function onFIRSelectionChanged() {
-    persistEnabledFIRs();
-    updateVisibleWaypoints();
-    updateStatusCounters();
-    updateCurrentTarget();
-    requestRender();
+  function buildWaypointSnapshot(list) {
+    const points = {};
+    list.forEach((wp) => {
+      points[wp.id] = [Number(wp.lat.toFixed(6)), Number(wp.lon.toFixed(6))];
+    });
+    const cycles = {};
+    firMetadata.forEach(({ code, airac }) => {
+      if (airac) cycles[code] = airac;
+    });
+    return { takenAt: Date.now(), cycles, points };
   }
 
-  function randomItem(list) {
-    if (!list?.length) return null;
-    const index = Math.floor(Math.random() * list.length);
-    return list[index];
-  }
+  function diffWaypointSnapshot(snapshot, list) {
+    const previous = snapshot?.points ?? {};
+    const current = new Set(list.map((wp) => wp.id));
+    const diff = { added: [], removed: [], moved: [] };
 
-  function statusWeight(waypoint) {
-    const status = waypoint?.stats?.status;
-    return QUIZ_CONFIG.statusPriorityWeights[status] ?? 1;
-  }
+    list.forEach((wp) => {
+      const known = previous[wp.id];
+      if (!known) {
+        diff.added.push(wp);
+        return;
+      }
+      const [lat, lon] = known;
+      const distanceNm = greatCircleDistanceNm(lon, lat, wp.lon, wp.lat);
+      if (distanceNm > AIRAC_CONFIG.movedThresholdNm) {
+        diff.moved.push({ wp, distanceNm, from: { lat, lon } });
+      }
+    });
 
-  function weightedRandomItem(list, weightFn) {
-    if (!list?.length) return null;
+    Object.entries(previous).forEach(([id, [lat, lon]]) => {
+      if (!current.has(id)) diff.removed.push({ id, lat, lon });
+    });
 
-    const weighted = list.map((item) => ({
-      item,
-      weight: Math.max(0, Number(weightFn(item)) || 0),
-    }));
+    return diff;
+  }
 
-    const totalWeight = weighted.reduce((sum, entry) => sum + entry.weight, 0);
-    if (totalWeight <= 0) return randomItem(list);
+  function demoteMovedWaypoint(wp, now) {
+    Object.keys(STATS_TRACKS).forEach((track) => {
+      const stats = getStats(wp, track);
+      if (!stats.hasAnswered) return;
 
-    let threshold = Math.random() * totalWeight;
-    for (const entry of weighted) {
-      threshold -= entry.weight;
-      if (threshold <= 0) {
-        return entry.item;
+      if (stats.status === 'green') {
+        stats.correctStreak = Math.min(stats.correctStreak, 1);
+      } else {
+        stats.correctStreak = 0;
       }
-    }
+      stats.wrongStreak = 0;
+      if (Number.isFinite(stats.stability)) {
+        stats.stability = Math.min(stats.stability, FSRS_CONFIG.weights[0]);
+      }
+      stats.dueAt = now;
+      updateStatusFromStreaks(stats, now);
+      persistWaypointStats(wp, track);
+    });
+  }
 
-    return weighted[weighted.length - 1].item;
+  function archiveKeysFor(ids) {
+    return ids.flatMap((id) => Object.keys(STATS_TRACKS).map((track) => ({ track, id })));
   }
 
-  function chooseNextTarget(availableWaypoints, { excludeId } = {}) {
-    const pool = excludeId
-      ? availableWaypoints.filter((wp) => wp.id !== excludeId)
-      : availableWaypoints;
+  // A name that starts or stops repeating changes its id's `@lat,lon` part.
+  function carryOverRenamedIds(diff) {
+    const baseOf = (id) => id.split('@')[0];
+    const renamed = [];
+    diff.added = diff.added.filter((wp) => {
+      const index = diff.removed.findIndex(
+        ({ id, lat, lon }) =>
+          baseOf(id) === baseOf(wp.id) &&
+          greatCircleDistanceNm(lon, lat, wp.lon, wp.lat) <= AIRAC_CONFIG.movedThresholdNm
+      );
+      if (index === -1) return true;
 
-    if (!pool.length) return null;
+      const [previous] = diff.removed.splice(index, 1);
+      Object.keys(STATS_TRACKS).forEach((track) => {
+        const stats = statsStore.get(track, previous.id);
+        if (stats && !statsStore.get(track, wp.id)) statsStore.put(track, wp.id, stats);
+      });
+      renamed.push(previous);
+      return false;
+    });
+    return renamed;
+  }
 
-    const now = Date.now();
-    const groupA = [];
-    const groupB = [];
-    const groupC = [];
+  // Withdrawn waypoints' progress is archived and restored if they return.
+  async function applyWaypointDataChanges(backend, list) {
+    const snapshot = await backend.getMeta(SNAPSHOT_META_KEY);
+    const nextSnapshot = buildWaypointSnapshot(list);
+    if (!snapshot) {
+      await backend.setMeta(SNAPSHOT_META_KEY, nextSnapshot);
+      return null;
+    }
 
-    pool.forEach((wp) => {
-      if (!wp.stats) wp.stats = defaultStats();
-      const { seen, hasAnswered, dueAt } = wp.stats;
+    // Keep the last known positions of FIRs whose file failed to load.
+    const failedFIRs = new Set(failedWaypointSources.map(({ entry }) => entry.code));
+    const fromFailedFIR = (id) => failedFIRs.has(id.split('/')[0]);
+    Object.entries(snapshot.points ?? {})
+      .filter(([id]) => fromFailedFIR(id))
+      .forEach(([id, point]) => {
+        nextSnapshot.points[id] = point;
+      });
 
-      if (hasAnswered && (dueAt ?? now) <= now) {
-        groupA.push(wp);
-        return;
-      }
+    const diff = diffWaypointSnapshot(snapshot, list);
+    diff.removed = diff.removed.filter(({ id }) => !fromFailedFIR(id));
+    const renamed = carryOverRenamedIds(diff);
+    diff.restored = diff.added.length
+      ? await statsStore.restoreArchived(archiveKeysFor(diff.added.map((wp) => wp.id)))
+      : [];
+    diff.cycles = Object.entries(nextSnapshot.cycles)
+      .filter(([code, airac]) => snapshot.cycles?.[code] !== airac)
+      .map(([code, airac]) => `${code} ${airac}`);
+
+    statsStore.archive(
+      [...diff.removed, ...renamed].flatMap(({ id, lat, lon }) =>
+        archiveKeysFor([id]).map((key) => ({ ...key, lastKnown: { lat, lon } }))
+      )
+    );
 
-      if (!seen) {
-        groupB.push(wp);
-        return;
-      }
+    await backend.setMeta(SNAPSHOT_META_KEY, nextSnapshot);
+    return diff;
+  }
 
-      if (hasAnswered) {
-        groupC.push({ wp, dueAt });
-      }
-    });
+  function reportFailedWaypointSources() {
+    if (!failedWaypointSources.length) return;
+    const names = failedWaypointSources.map(({ entry }) => entry.code).join(', ');
+    showNotice(
+      `Some waypoint files could not be loaded (${names}). Retry them from the FIR panel.`,
+      failedWaypointSources.map(({ entry, error }) => `${entry.file}: ${error}`)
+    );
+  }
 
-    if (groupA.length) {
-      return weightedRandomItem(groupA, statusWeight);
-    }
+  function reportWaypointDataChanges(diff) {
+    if (!diff) return;
+    const { added, removed, moved, restored, cycles } = diff;
+    if (!added.length && !removed.length && !moved.length) return;
+
+    const restoredIds = new Set(restored.map(({ id }) => id));
+    const details = [
+      ...moved.map(
+        ({ wp, distanceNm }) =>
+          `Moved ${distanceNm.toFixed(1)} NM: ${wp.name} (${wp.fir}), due for review`
+      ),
+      ...removed.map(({ id }) => `Withdrawn: ${id}, progress archived`),
+      ...added.map(
+        (wp) =>
+          `New: ${wp.name} (${wp.fir})${restoredIds.has(wp.id) ? ', archived progress restored' : ''}`
+      ),
+    ];
+    const overflow = details.length - AIRAC_CONFIG.maxListedChanges;
+
+    showNotice(
+      `Waypoint data changed${cycles.length ? ` (AIRAC ${cycles.join(', ')})` : ''}: ` +
+        `${added.length} new, ${removed.length} withdrawn, ${moved.length} moved.`,
+      overflow > 0
+        ? [...details.slice(0, AIRAC_CONFIG.maxListedChanges), `…and ${overflow} more`]
+        : details
+    );
+  }
 
-    if (groupB.length) {
-      return weightedRandomItem(groupB, statusWeight);
-    }
+  function reportIdMigration(report) {
+    if (!report?.unmatched?.length) return;
 
-    if (groupC.length) {
-      const jittered = groupC.map(({ wp, dueAt }) => ({
-        wp,
-        value: (dueAt ?? now) + Math.random() * 2000 - statusWeight(wp) * 400,
-      }));
+    const count = report.unmatched.length;
+    showNotice(
+      `${count} stored progress record${count === 1 ? '' : 's'} could not be matched to a waypoint and ${count === 1 ? 'was' : 'were'} set aside.`,
+      report.unmatched.map(({ id, track }) => `${id} (${track})`)
+    );
+  }
 
-      jittered.sort((a, b) => a.value - b.value);
-      return jittered[0].wp;
+  function showNotice(message, details = [], action = null) {
+    if (!noticeBar) return;
+    if (!noticeBar.hidden) {
+      pendingNotices.push([message, details, action]);
+      return;
+    }
+    noticeBar.innerHTML = '';
+
+    const text = document.createElement('div');
+    text.className = 'notice-text';
+    text.textContent = message;
+    noticeBar.appendChild(text);
+
+    if (details.length) {
+      const disclosure = document.createElement('details');
+      const summary = document.createElement('summary');
+      summary.textContent = 'Details';
+      const list = document.createElement('ul');
+      details.forEach((detail) => {
+        const item = document.createElement('li');
+        item.textContent = detail;
+        list.appendChild(item);
+      });
+      disclosure.append(summary, list);
+      noticeBar.appendChild(disclosure);
     }
 
-    return randomItem(pool);
-  }
+    if (action) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'notice-dismiss';
+      button.textContent = action.label;
+      button.addEventListener('click', action.run);
+      noticeBar.appendChild(button);
+    }
 
-  function refreshQueuedNextTarget() {
-    queuedNextTarget = chooseNextTarget(visibleWaypoints, {
-      excludeId: currentTarget?.id,
+    const dismiss = document.createElement('button');
+    dismiss.type = 'button';
+    dismiss.className = 'notice-dismiss';
+    dismiss.textContent = 'Dismiss';
+    dismiss.addEventListener('click', () => {
+      noticeBar.hidden = true;
+      const next = pendingNotices.shift();
+      if (next) showNotice(...next);
     });
+    noticeBar.appendChild(dismiss);
+
+    noticeBar.hidden = false;
   }
 
-  function takeQueuedNextTarget() {
-    if (!visibleWaypoints.length) {
-      queuedNextTarget = null;
+  function readStoredSessionTimestamp() {
+    try {
+      const value = Number(localStorage.getItem(SESSION_STORAGE_KEY));
+      return Number.isFinite(value) && value > 0 ? value : null;
+    } catch (error) {
       return null;
     }
+  }
 
-    const available = visibleWaypoints.filter((wp) => wp.id !== currentTarget?.id);
-    if (!available.length) {
-      queuedNextTarget = null;
-      return null;
-    }
+  function collectStoredStats() {
+    const stats = Object.fromEntries(Object.keys(STATS_TRACKS).map((track) => [track, {}]));
 
-    const next = chooseNextTarget(available);
-    queuedNextTarget = null;
-    return next;
-  }
+    statsStore?.entries().forEach(({ track, id, stats: record }) => {
+      if (stats[track] && record) stats[track][id] = record;
+    });
 
-  function markWaypointSeen(waypoint) {
-    if (!waypoint) return;
-    if (!waypoint.stats) waypoint.stats = defaultStats();
-    const now = Date.now();
+    return stats;
+  }
 
-    waypoint.stats.seen = true;
-    waypoint.stats.lastSeenAt = now;
-    waypoint.stats.lastSessionAt = now;
-    persistWaypointStats(waypoint);
+  function buildProgressExport(now = Date.now()) {
+    const stats = collectStoredStats();
+    return {
+      format: PROGRESS_FILE_FORMAT,
+      version: PROGRESS_FILE_VERSION,
+      exportedAt: new Date(now).toISOString(),
+      metadata: {
+        lastSessionAt: readStoredSessionTimestamp(),
+        quizMode,
+        firs: firOptions,
+        waypointCount: waypoints.length,
+        recordCounts: Object.fromEntries(
+          Object.entries(stats).map(([track, records]) => [track, Object.keys(records).length])
+        ),
+      },
+      enabledFIRs: [...enabledFIRs],
+      settings: { scheduler: schedulerId },
+      confusions: confusionCounts,
+      stats,
+    };
   }
 
-  function updateCurrentTarget() {
-    if (!enabledFIRs.size) {
-      stopRevealMode();
-      currentTarget = null;
-      updateTopBar();
-      return;
-    }
+  function downloadFile(filename, contents, type) {
+    const blob = new Blob([contents], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
 
-    const availableWaypoints = visibleWaypoints;
+  function exportProgress() {
+    const now = Date.now();
+    const data = buildProgressExport(now);
+    const date = new Date(now).toISOString().slice(0, 10);
+    downloadFile(
+      `waypoint-progress-${date}.json`,
+      JSON.stringify(data, null, 2),
+      'application/json'
+    );
+  }
 
-    if (!availableWaypoints.length) {
-      stopRevealMode();
-      currentTarget = null;
-      updateTopBar();
-      return;
+  function validateProgressFile(data) {
+    if (!data || typeof data !== 'object' || data.format !== PROGRESS_FILE_FORMAT) {
+      throw new Error('Not a waypoint progress file');
     }
-
-    if (!currentTarget || !enabledFIRs.has(currentTarget.fir)) {
-      currentTarget = chooseNextTarget(availableWaypoints);
-      currentWrongCount = 0;
+    if (!Number.isInteger(data.version) || data.version > PROGRESS_FILE_VERSION) {
+      throw new Error(`Unsupported progress file version: ${data.version}`);
     }
+    if (!data.stats || typeof data.stats !== 'object') {
+      throw new Error('Progress file has no stats');
+    }
+  }
 
-    markWaypointSeen(currentTarget);
+  function statsRecency(stats) {
+    return Math.max(stats.lastSeenAt || 0, stats.lastShownAt || 0, stats.lastCorrectAt || 0);
+  }
 
-    queuedNextTarget = null;
+  function compareStatsProgress(a, b) {
+    const rank = { red: 0, yellow: 1, green: 2 };
+    return (
+      rank[a.status] - rank[b.status] ||
+      a.correctStreak - b.correctStreak ||
+      b.wrongStreak - a.wrongStreak ||
+      statsRecency(a) - statsRecency(b)
+    );
+  }
 
-    updateTopBar();
-    requestRender();
+  function pickMergedStats(current, incoming, strategy) {
+    if (!current) return incoming;
+    const incomingWins =
+      strategy === 'advanced'
+        ? compareStatsProgress(incoming, current) > 0
+        : statsRecency(incoming) > statsRecency(current);
+    return incomingWins ? incoming : current;
   }
 
-  function updateTopBar() {
-    if (!topBarTitle) return;
+  function importProgressData(data, strategy) {
+    validateProgressFile(data);
 
-    if (initializationError) {
-      topBarTitle.textContent = initializationError;
-      return;
+    const now = Date.now();
+    const byId = new Map(waypoints.map((wp) => [wp.id, wp]));
+    const summary = { updated: 0, kept: 0, invalid: [] };
+
+    Object.keys(STATS_TRACKS).forEach((track) => {
+      const records = data.stats[track];
+      if (!records || typeof records !== 'object') return;
+
+      Object.entries(records).forEach(([id, record]) => {
+        if (!id || !record || typeof record !== 'object' || Array.isArray(record)) {
+          summary.invalid.push(`${id} (${track})`);
+          return;
+        }
+
+        // Missing timestamps count as oldest so they never outrank local progress.
+        const incoming = normalizeStats(record, 0);
+        const waypoint = byId.get(id);
+        const stored = loadWaypointStats(id, track);
+        const current = waypoint
+          ? getStats(waypoint, track)
+          : stored && normalizeStats(stored, now);
+        const merged = pickMergedStats(current, incoming, strategy);
+
+        if (merged === current) {
+          summary.kept += 1;
+          return;
+        }
+
+        summary.updated += 1;
+        if (waypoint) {
+          setStats(waypoint, track, merged);
+          persistWaypointStats(waypoint, track);
+        } else {
+          statsStore?.put(track, id, merged);
+        }
+      });
+    });
+
+    if (data.confusions && typeof data.confusions === 'object') {
+      Object.entries(data.confusions).forEach(([targetId, partners]) => {
+        Object.entries(partners ?? {}).forEach(([partnerId, count]) => {
+          if (!Number.isFinite(count) || count <= 0) return;
+          const entry = (confusionCounts[targetId] ??= {});
+          entry[partnerId] = Math.max(entry[partnerId] ?? 0, count);
+        });
+      });
+      persistConfusions();
     }
 
-    if (!enabledFIRs.size) {
-      topBarTitle.textContent = FIR_DISABLED_MESSAGE;
-      return;
+    if (SCHEDULERS[data.settings?.scheduler]) {
+      setSchedulerId(data.settings.scheduler);
     }
 
-    if (currentTarget) {
-      topBarTitle.textContent = `${currentTarget.name} (${currentTarget.fir})`;
-      return;
+    if (Array.isArray(data.enabledFIRs)) {
+      const imported = data.enabledFIRs.filter((fir) => firOptions.includes(fir));
+      if (imported.length) {
+        enabledFIRs = new Set(imported);
+        syncFIRControls();
+      }
     }
 
-    topBarTitle.textContent = 'Waypoint Name';
+    return summary;
   }
 
-  function categorizeWaypoint(stats) {
-    const merged = { ...defaultStats(), ...stats };
+  async function importProgressFile(file) {
+    if (!file) return;
 
-    if (merged.status === 'red' || merged.status === 'yellow' || merged.status === 'green') {
-      return merged.status;
-    }
+    try {
+      const data = JSON.parse(await file.text());
+      const strategy = importStrategySelect?.value === 'advanced' ? 'advanced' : 'newer';
+      const { updated, kept, invalid } = importProgressData(data, strategy);
 
-    return computeStatusFromStreaks(merged);
+      onFIRSelectionChanged();
+      showNotice(
+        `Imported progress from ${file.name}: ${updated} record${updated === 1 ? '' : 's'} updated, ${kept} kept.` +
+          (invalid.length ? ` ${invalid.length} invalid record${invalid.length === 1 ? '' : 's'} skipped.` : ''),
+        invalid
+      );
+    } catch (error) {
+      console.warn('Failed to import progress', error);
+      showNotice(`Could not import ${file.name}: ${error?.message || 'invalid file'}`);
+    }
   }
 
-  function updateStatusCounters() {
-    if (!countRedEl || !countYellowEl || !countGreenEl) return;
-    if (initializationError || !visibleWaypoints.length) {
-      countRedEl.textContent = '0';
-      countYellowEl.textContent = '0';
-      countGreenEl.textContent = '0';
+  async function addCustomWaypointSet(file) {
+    if (!file) return;
+    if (!statsStore) {
+      showNotice(
+        `Could not add ${file.name}: ` +
+          (initializationError
+            ? 'the built-in waypoints failed to load. Reload and try again.'
+            : 'the built-in waypoints are still loading. Try again in a moment.')
+      );
       return;
     }
 
-    const counts = { red: 0, yellow: 0, green: 0 };
+    try {
+      const text = await file.text();
+      const data = parseWaypointFile(text, file.name);
+      if (data?.format === PROGRESS_FILE_FORMAT) {
+        await importProgressFile(file);
+        return;
+      }
 
-    visibleWaypoints.forEach((wp) => {
-      const category = categorizeWaypoint(wp.stats);
-      counts[category] += 1;
-    });
+      const code = customSetCode(file.name);
+      const validation = window.WaypointValidator?.validateWaypointFile(file.name, data, null, {
+        fir: code,
+      });
+      const set = {
+        code,
+        name: file.name.replace(/\.[^.]+$/, ''),
+        file: file.name,
+        addedAt: Date.now(),
+        data: {
+          type: 'FeatureCollection',
+          features: (data?.features ?? []).filter(
+            (feature) => feature?.geometry?.type === 'Point'
+          ),
+        },
+      };
+      const added = buildCustomSetWaypoints(set);
+      const rejected = (data?.rejected ?? []).map((line) => `Skipped unreadable line: ${line}`);
+      if (!added.length) {
+        showNotice(`Could not add ${file.name}: no usable Point waypoints`, rejected);
+        return;
+      }
 
-    countRedEl.textContent = `${counts.red}`;
-    countYellowEl.textContent = `${counts.yellow}`;
-    countGreenEl.textContent = `${counts.green}`;
+      writeCustomWaypointSets([...readCustomWaypointSets(), set]);
+      firMetadata.set(code, customSetMetadata(set));
+      await addWaypointsAtRuntime(added);
+
+      const issues = [
+        ...rejected,
+        ...(validation?.issues ?? []).map(({ message }) => message),
+      ];
+      showNotice(
+        `Added ${added.length} waypoint${added.length === 1 ? '' : 's'} from ${file.name} as ${code}.` +
+          (issues.length ? ` ${issues.length} issue${issues.length === 1 ? '' : 's'} found.` : ''),
+        issues
+      );
+    } catch (error) {
+      console.warn('Failed to add custom waypoint set', error);
+      showNotice(`Could not add ${file.name}: ${error?.message || 'invalid file'}`);
+    }
   }
 
-  function setInitializationError(message) {
-    initializationError = message;
-    updateTopBar();
-  }
+  function removeCustomWaypointSet(code) {
+    if (!firMetadata.get(code)?.custom) return;
+
+    const removed = waypoints.filter((wp) => wp.custom && wp.fir === code);
+    statsStore?.archive(archiveKeysFor(removed.map((wp) => wp.id)));
+    try {
+      writeCustomWaypointSets(readCustomWaypointSets().filter((set) => set.code !== code));
+    } catch (error) {
+      console.warn('Failed to update custom waypoint sets', error);
+    }
+
+    firMetadata.delete(code);
+    waypoints = waypoints.filter((wp) => !(wp.custom && wp.fir === code));
+    firOptions = uniqueFIRs(waypoints);
+    enabledFIRs.delete(code);
+    if (currentTarget?.fir === code) currentTarget = null;
+    renderFIRControls();
+    onFIRSelectionChanged();
+  }
+
+  function setupCustomSetControls() {
+    addWaypointSetButton?.addEventListener('click', () => addWaypointSetInput?.click());
+    addWaypointSetInput?.addEventListener('change', () => {
+      const [file] = addWaypointSetInput.files ?? [];
+      addWaypointSetInput.value = '';
+      addCustomWaypointSet(file);
+    });
+
+    const hasFiles = (event) => [...(event.dataTransfer?.types ?? [])].includes('Files');
+    let dragDepth = 0;
+    window.addEventListener('dragenter', (event) => {
+      if (!hasFiles(event)) return;
+      dragDepth += 1;
+      document.body.classList.add('drop-active');
+    });
+    window.addEventListener('dragleave', () => {
+      dragDepth = Math.max(0, dragDepth - 1);
+      if (!dragDepth) document.body.classList.remove('drop-active');
+    });
+    window.addEventListener('dragover', (event) => {
+      if (hasFiles(event)) event.preventDefault();
+    });
+    window.addEventListener('drop', (event) => {
+      if (!hasFiles(event)) return;
+      event.preventDefault();
+      dragDepth = 0;
+      document.body.classList.remove('drop-active');
+      [...event.dataTransfer.files].forEach((file) => addCustomWaypointSet(file));
+    });
+  }
+
+  function setupProgressControls() {
+    exportProgressButton?.addEventListener('click', exportProgress);
+    importProgressButton?.addEventListener('click', () => importProgressInput?.click());
+    importProgressInput?.addEventListener('change', () => {
+      const [file] = importProgressInput.files ?? [];
+      importProgressInput.value = '';
+      importProgressFile(file);
+    });
+  }
+
+  function persistEnabledFIRs() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify([...enabledFIRs]));
+    } catch (error) {
+      console.warn('Failed to persist FIR preferences', error);
+    }
+  }
+
+  function renderFIRControls() {
+    if (!firContent) return;
+    firContent.innerHTML = '';
+
+    if (!firOptions.length) {
+      firContent.textContent = 'No FIR data available.';
+      return;
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'drawer-actions';
+
+    const selectAllButton = document.createElement('button');
+    selectAllButton.type = 'button';
+    selectAllButton.textContent = 'Select all';
+    selectAllButton.addEventListener('click', () => {
+      enabledFIRs = new Set(firOptions);
+      syncFIRControls();
+      onFIRSelectionChanged();
+    });
+
+    const selectNoneButton = document.createElement('button');
+    selectNoneButton.type = 'button';
+    selectNoneButton.textContent = 'Select none';
+    selectNoneButton.addEventListener('click', () => {
+      enabledFIRs = new Set();
+      syncFIRControls();
+      onFIRSelectionChanged();
+    });
+
+    actions.append(selectAllButton, selectNoneButton);
+    firContent.appendChild(actions);
+
+    const firList = document.createElement('div');
+    firList.className = 'fir-list';
+
+    firOptions.forEach((fir) => {
+      const option = document.createElement('label');
+      option.className = 'fir-option';
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = fir;
+      checkbox.checked = enabledFIRs.has(fir);
+      checkbox.addEventListener('change', () => {
+        if (checkbox.checked) {
+          enabledFIRs.add(fir);
+        } else {
+          enabledFIRs.delete(fir);
+        }
+        onFIRSelectionChanged();
+      });
+
+      const meta = firMetadata.get(fir);
+      const label = document.createElement('span');
+      label.className = 'fir-option-label';
+      const name = document.createElement('span');
+      name.className = 'fir-option-name';
+      name.textContent = meta?.name && meta.name !== fir ? `${meta.name} (${fir})` : fir;
+      label.appendChild(name);
+
+      const airac = formatAIRAC(meta?.airac);
+      if (airac) {
+        const cycle = document.createElement('span');
+        cycle.className = 'fir-option-airac';
+        cycle.textContent = airac;
+        label.appendChild(cycle);
+      }
+
+      option.append(checkbox);
+      if (meta?.color) {
+        const swatch = document.createElement('span');
+        swatch.className = 'fir-option-swatch';
+        swatch.style.background = meta.color;
+        option.appendChild(swatch);
+      }
+      option.appendChild(label);
+
+      if (meta?.custom) {
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'fir-option-remove';
+        remove.textContent = 'Remove';
+        remove.setAttribute('aria-label', `Remove ${meta.name}`);
+        remove.addEventListener('click', (event) => {
+          event.preventDefault();
+          removeCustomWaypointSet(fir);
+        });
+        option.appendChild(remove);
+      }
+      firList.appendChild(option);
+    });
+
+    firContent.appendChild(firList);
+
+    if (failedWaypointSources.length) {
+      const failedList = document.createElement('div');
+      failedList.className = 'fir-failed-list';
+      const heading = document.createElement('div');
+      heading.className = 'drawer-heading';
+      heading.textContent = 'Not loaded';
+      failedList.appendChild(heading);
+
+      failedWaypointSources.forEach(({ entry, error, retrying }) => {
+        const row = document.createElement('div');
+        row.className = 'fir-failed';
+        const text = document.createElement('span');
+        text.className = 'fir-failed-text';
+        text.textContent = `${entry.name} (${entry.code}): ${error}`;
+        const retry = document.createElement('button');
+        retry.type = 'button';
+        retry.textContent = retrying ? 'Retrying…' : 'Retry';
+        retry.disabled = Boolean(retrying);
+        retry.addEventListener('click', () => retryWaypointSource(entry.code));
+        row.append(text, retry);
+        failedList.appendChild(row);
+      });
+      firContent.appendChild(failedList);
+    }
+
+    if (boundaryWaypoints.length) {
+      const sharedNote = document.createElement('div');
+      sharedNote.className = 'fir-shared-note';
+      sharedNote.textContent = `${boundaryWaypoints.length} boundary waypoint${
+        boundaryWaypoints.length === 1 ? ' is' : 's are'
+      } included in every FIR they belong to.`;
+      sharedNote.title = boundaryWaypoints
+        .map((wp) => `${wp.name} (${wp.firs.join('/')})`)
+        .join('\n');
+      firContent.appendChild(sharedNote);
+    }
+  }
+
+  function syncFIRControls() {
+    firContent?.querySelectorAll('input[type="checkbox"]').forEach((input) => {
+      input.checked = enabledFIRs.has(input.value);
+    });
+  }
+
+  function setFIRPanelOpen(open) {
+    if (!firPanel || !firOverlay || !firFab) return;
+    if (open) {
+      setDashboardOpen(false);
+      setExamReportOpen(false);
+    }
+    firPanelOpen = open;
+    firPanel.classList.toggle('open', open);
+    firFab.setAttribute('aria-expanded', open ? 'true' : 'false');
+    syncOverlay();
+    syncPanelFocus(firPanel, open);
+  }
+
+  function setDashboardOpen(open) {
+    if (!dashboardPanel || !dashboardFab) return;
+    if (open) {
+      setFIRPanelOpen(false);
+      setExamReportOpen(false);
+    }
+    dashboardOpen = open;
+    dashboardPanel.classList.toggle('open', open);
+    dashboardFab.setAttribute('aria-expanded', open ? 'true' : 'false');
+    syncOverlay();
+    if (open) renderDashboard();
+    syncPanelFocus(dashboardPanel, open);
+  }
+
+  function setExamReportOpen(open) {
+    if (!examReportPanel) return;
+    if (open) {
+      setFIRPanelOpen(false);
+      setDashboardOpen(false);
+    }
+    examReportOpen = open;
+    examReportPanel.classList.toggle('open', open);
+    syncOverlay();
+    syncPanelFocus(examReportPanel, open);
+  }
+
+  function syncOverlay() {
+    if (!firOverlay) return;
+    const active = firPanelOpen || dashboardOpen || examReportOpen;
+    firOverlay.classList.toggle('active', active);
+    firOverlay.setAttribute('aria-hidden', active ? 'false' : 'true');
+  }
+
+  function toggleFIRPanel() {
+    setFIRPanelOpen(!firPanelOpen);
+  }
+
+  function setupFIRPanelControls() {
+    setFIRPanelOpen(false);
+
+    firFab?.addEventListener('click', (event) => {
+      event.stopPropagation();
+      toggleFIRPanel();
+    });
+
+    dashboardFab?.addEventListener('click', (event) => {
+      event.stopPropagation();
+      setDashboardOpen(!dashboardOpen);
+    });
+
+    firOverlay?.addEventListener('click', () => {
+      setFIRPanelOpen(false);
+      setDashboardOpen(false);
+      setExamReportOpen(false);
+    });
+  }
+
+  function dailyAccuracy(waypointIds, track, now) {
+    const days = new Map();
+    for (let i = DASHBOARD_CONFIG.accuracyDays - 1; i >= 0; i -= 1) {
+      const day = dayStamp(now - i * DASHBOARD_CONFIG.dayMs);
+      days.set(day, { day, attempts: 0, correct: 0, misses: {} });
+    }
+
+    answerJournal?.dailyTotals().forEach((record) => {
+      const bucket = days.get(record.day);
+      if (!bucket || !waypointIds.has(record.targetId)) return;
+      if (QUIZ_MODES[record.mode]?.track !== track) return;
+      bucket.attempts += record.attempts;
+      bucket.correct += record.correct;
+      Object.entries(record.misses ?? {}).forEach(([grade, count]) => {
+        bucket.misses[grade] = (bucket.misses[grade] ?? 0) + count;
+      });
+    });
+
+    const since = now - DASHBOARD_CONFIG.accuracyDays * DASHBOARD_CONFIG.dayMs;
+    answerJournal?.entries({ since }).forEach((entry) => {
+      const bucket = days.get(dayStamp(entry.at));
+      if (!bucket || entry.track !== track || !waypointIds.has(entry.targetId)) return;
+      bucket.attempts += 1;
+      bucket.correct += entry.correct ? 1 : 0;
+      if (entry.missGrade) {
+        bucket.misses[entry.missGrade] = (bucket.misses[entry.missGrade] ?? 0) + 1;
+      }
+    });
+
+    return [...days.values()];
+  }
+
+  function computeFIRProgress(fir, track, now) {
+    const list = waypoints.filter((wp) => waypointInFIRs(wp, new Set([fir])));
+    const counts = { red: 0, yellow: 0, green: 0 };
+    const due = { hour: 0, day: 0 };
+
+    list.forEach((wp) => {
+      const stats = getStats(wp, track);
+      counts[categorizeWaypoint(stats)] += 1;
+      if (!stats.hasAnswered || !Number.isFinite(stats.dueAt)) return;
+      if (stats.dueAt <= now + DASHBOARD_CONFIG.hourMs) due.hour += 1;
+      if (stats.dueAt <= now + DASHBOARD_CONFIG.dayMs) due.day += 1;
+    });
+
+    const weakest = list
+      .filter((wp) => getStats(wp, track).hasAnswered)
+      .map((wp) => ({ wp, mastery: activeScheduler().mastery(getStats(wp, track), now) }))
+      .sort((a, b) => a.mastery - b.mastery)
+      .slice(0, DASHBOARD_CONFIG.weakestCount)
+      .map(({ wp }) => wp);
+
+    return {
+      fir,
+      total: list.length,
+      counts,
+      due,
+      weakest,
+      accuracy: dailyAccuracy(new Set(list.map((wp) => wp.id)), track, now),
+    };
+  }
+
+  function renderDashboard() {
+    if (!dashboardContent) return;
+    dashboardContent.innerHTML = '';
+
+    if (!firOptions.length) {
+      dashboardContent.textContent = 'No FIR data available.';
+      return;
+    }
+
+    const now = Date.now();
+    const track = currentTrack();
+
+    const intro = document.createElement('div');
+    intro.className = 'dashboard-intro';
+    intro.textContent = `Showing "${QUIZ_MODES[quizMode].label}" progress`;
+    dashboardContent.appendChild(intro);
+
+    firOptions.forEach((fir) => {
+      const progress = computeFIRProgress(fir, track, now);
+      const section = document.createElement('section');
+      section.className = 'dashboard-fir';
+
+      const heading = document.createElement('div');
+      heading.className = 'dashboard-fir-heading';
+      const greenShare = progress.total
+        ? Math.round((progress.counts.green / progress.total) * 100)
+        : 0;
+      heading.textContent = `${firDisplayName(fir)} - ${progress.total} waypoints, ${greenShare}% known well`;
+
+      const bar = document.createElement('div');
+      bar.className = 'dashboard-bar';
+      bar.setAttribute(
+        'aria-label',
+        `${progress.counts.red} not learned, ${progress.counts.yellow} being learned, ${progress.counts.green} known well`
+      );
+      ['red', 'yellow', 'green'].forEach((status) => {
+        if (!progress.counts[status]) return;
+        const segment = document.createElement('span');
+        segment.className = `dashboard-bar-segment dashboard-bar-segment--${status}`;
+        segment.style.flexGrow = `${progress.counts[status]}`;
+        segment.textContent = `${progress.counts[status]}`;
+        bar.appendChild(segment);
+      });
+
+      const due = document.createElement('div');
+      due.className = 'dashboard-due';
+      due.textContent = `Due for review: ${progress.due.hour} within 1 h, ${progress.due.day} within 24 h`;
+
+      const missCounts = QUIZ_CONFIG.missGrades.map(({ grade, label }) => ({
+        label,
+        count: progress.accuracy.reduce((sum, bucket) => sum + (bucket.misses[grade] ?? 0), 0),
+      }));
+      const misses = document.createElement('div');
+      misses.className = 'dashboard-due';
+      misses.hidden = !missCounts.some(({ count }) => count);
+      misses.textContent = `Misses: ${missCounts
+        .map(({ label, count }) => `${count} ${label}`)
+        .join(', ')}`;
+
+      const chart = document.createElement('canvas');
+      chart.className = 'dashboard-chart';
+      chart.setAttribute('role', 'img');
+      const answered = progress.accuracy.filter((bucket) => bucket.attempts);
+      chart.setAttribute(
+        'aria-label',
+        answered.length
+          ? `Daily accuracy over the last ${DASHBOARD_CONFIG.accuracyDays} days`
+          : 'No answers recorded in the last two weeks'
+      );
+
+      const weakest = document.createElement('ol');
+      weakest.className = 'dashboard-weakest';
+      progress.weakest.forEach((wp) => {
+        const item = document.createElement('li');
+        const stats = getStats(wp, track);
+        item.textContent = `${wp.name} (${stats.status}, ${stats.correctStreak} right / ${stats.wrongStreak} wrong in a row)`;
+        weakest.appendChild(item);
+      });
+
+      const weakestLabel = document.createElement('div');
+      weakestLabel.className = 'dashboard-label';
+      weakestLabel.textContent = progress.weakest.length
+        ? 'Weakest waypoints'
+        : 'No answers yet';
+
+      section.append(heading, bar, due, misses, chart, weakestLabel, weakest);
+      dashboardContent.appendChild(section);
+      drawAccuracyChart(chart, progress.accuracy);
+    });
+
+    renderConfusionPairs();
+  }
+
+  function findWaypointByName(name) {
+    const normalized = normalizeWaypointName(name);
+    if (!normalized) return null;
+    const matches = (wp) => normalizeWaypointName(wp.name) === normalized;
+    return visibleWaypoints.find(matches) ?? waypoints.find(matches) ?? null;
+  }
+
+  function addInstructorConfusion(nameA, nameB) {
+    const a = findWaypointByName(nameA);
+    const b = findWaypointByName(nameB);
+    if (!a || !b) return `Unknown waypoint ${!a ? nameA : nameB}`.trim();
+    if (a.id === b.id) return 'Pick two different waypoints';
+
+    const current = (confusionCounts[a.id]?.[b.id] ?? 0) + (confusionCounts[b.id]?.[a.id] ?? 0);
+    if (current < CONFUSION_CONFIG.drillMinCount) {
+      const partners = (confusionCounts[a.id] ??= {});
+      partners[b.id] = (partners[b.id] ?? 0) + CONFUSION_CONFIG.drillMinCount - current;
+      persistConfusions();
+    }
+    return null;
+  }
+
+  function renderConfusionPairs() {
+    const byId = new Map(waypoints.map((wp) => [wp.id, wp]));
+    const nameCounts = new Map();
+    waypoints.forEach((wp) => {
+      const name = normalizeWaypointName(wp.name);
+      nameCounts.set(name, (nameCounts.get(name) ?? 0) + 1);
+    });
+    const label = (wp) =>
+      nameCounts.get(normalizeWaypointName(wp.name)) > 1 ? `${wp.name} (${wp.fir})` : wp.name;
+
+    const section = document.createElement('section');
+    section.className = 'dashboard-fir';
+
+    const heading = document.createElement('div');
+    heading.className = 'dashboard-fir-heading';
+    heading.textContent = 'Most confused pairs';
+
+    const pairs = confusionPairs()
+      .filter(({ ids }) => ids.every((id) => byId.has(id)))
+      .slice(0, CONFUSION_CONFIG.panelPairs);
+    const list = document.createElement('ul');
+    list.className = 'confusion-list';
+    pairs.forEach(({ ids, count }) => {
+      const [a, b] = ids.map((id) => byId.get(id));
+      const item = document.createElement('li');
+      item.className = 'confusion-pair';
+
+      const text = document.createElement('span');
+      text.textContent = `${label(a)} / ${label(b)} - ${count}x`;
+
+      const forget = document.createElement('button');
+      forget.type = 'button';
+      forget.className = 'fir-option-remove';
+      forget.textContent = 'Forget';
+      forget.addEventListener('click', () => {
+        forgetConfusion(a.id, b.id);
+        renderDashboard();
+      });
+
+      item.append(text, forget);
+      list.appendChild(item);
+    });
+
+    const hint = document.createElement('div');
+    hint.className = 'dashboard-label';
+    hint.textContent = pairs.length
+      ? 'Pairs mixed up more than once are practised back to back.'
+      : 'No mix-ups recorded yet.';
+
+    const form = document.createElement('form');
+    form.className = 'confusion-form';
+    const inputs = ['First', 'Second'].map((position) => {
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.maxLength = 5;
+      input.spellcheck = false;
+      input.autocapitalize = 'characters';
+      input.placeholder = 'NAME';
+      input.setAttribute('aria-label', `${position} waypoint of the pair`);
+      return input;
+    });
+    const add = document.createElement('button');
+    add.type = 'submit';
+    add.textContent = 'Add pair';
+    const error = document.createElement('div');
+    error.className = 'drawer-hint';
+    error.setAttribute('aria-live', 'polite');
+    form.addEventListener('submit', (event) => {
+      event.preventDefault();
+      const message = addInstructorConfusion(inputs[0].value, inputs[1].value);
+      if (message) {
+        error.textContent = message;
+        return;
+      }
+      renderDashboard();
+    });
+    form.append(...inputs, add);
+
+    section.append(heading, list, hint, form, error);
+    dashboardContent.appendChild(section);
+  }
+
+  function drawAccuracyChart(chartCanvas, buckets) {
+    const chartCtx = chartCanvas.getContext('2d');
+    if (!chartCtx) return;
+
+    const width = Math.max(chartCanvas.clientWidth || 0, 240);
+    const height = DASHBOARD_CONFIG.chartHeight;
+    const ratio = window.devicePixelRatio || 1;
+    chartCanvas.width = Math.floor(width * ratio);
+    chartCanvas.height = Math.floor(height * ratio);
+    chartCanvas.style.height = `${height}px`;
+    chartCtx.setTransform(ratio, 0, 0, ratio, 0, 0);
+
+    const pad = { left: 30, right: 8, top: 8, bottom: 16 };
+    const plotWidth = width - pad.left - pad.right;
+    const plotHeight = height - pad.top - pad.bottom;
+    const xFor = (index) =>
+      pad.left + (buckets.length > 1 ? (index / (buckets.length - 1)) * plotWidth : 0);
+    const yFor = (value) => pad.top + (1 - value) * plotHeight;
+
+    chartCtx.clearRect(0, 0, width, height);
+    chartCtx.font = '10px system-ui, sans-serif';
+    chartCtx.fillStyle = '#6b7280';
+    chartCtx.strokeStyle = '#e5e7eb';
+    chartCtx.lineWidth = 1;
+
+    [0, 0.5, 1].forEach((value) => {
+      const y = yFor(value);
+      chartCtx.beginPath();
+      chartCtx.moveTo(pad.left, y);
+      chartCtx.lineTo(width - pad.right, y);
+      chartCtx.stroke();
+      chartCtx.fillText(`${value * 100}%`, 2, y + 3);
+    });
+
+    if (buckets.length) {
+      chartCtx.fillText(buckets[0].day.slice(5), pad.left, height - 3);
+      const lastLabel = buckets[buckets.length - 1].day.slice(5);
+      chartCtx.fillText(
+        lastLabel,
+        width - pad.right - chartCtx.measureText(lastLabel).width,
+        height - 3
+      );
+    }
+
+    chartCtx.strokeStyle = '#2563eb';
+    chartCtx.fillStyle = '#2563eb';
+    chartCtx.lineWidth = 2;
+    chartCtx.beginPath();
+    let drawing = false;
+    buckets.forEach((bucket, index) => {
+      if (!bucket.attempts) {
+        drawing = false;
+        return;
+      }
+      const x = xFor(index);
+      const y = yFor(bucket.correct / bucket.attempts);
+      if (drawing) {
+        chartCtx.lineTo(x, y);
+      } else {
+        chartCtx.moveTo(x, y);
+        drawing = true;
+      }
+    });
+    chartCtx.stroke();
+
+    buckets.forEach((bucket, index) => {
+      if (!bucket.attempts) return;
+      chartCtx.beginPath();
+      chartCtx.arc(xFor(index), yFor(bucket.correct / bucket.attempts), 3, 0, Math.PI * 2);
+      chartCtx.fill();
+    });
+  }
+
+  function updateVisibleWaypoints() {
+    visibleWaypoints = enabledFIRs.size
+      ? waypoints.filter((wp) => waypointInFIRs(wp, enabledFIRs))
+      : [];
+  }
+
+  function wrongInterval(streak, missGrade = null) {
+    const index = clamp(streak - 1, 0, QUIZ_CONFIG.wrongIntervalsMs.length - 1);
+    const factor =
+      QUIZ_CONFIG.missGrades.find(({ grade }) => grade === missGrade)?.intervalFactor ?? 1;
+    return QUIZ_CONFIG.wrongIntervalsMs[index] * factor;
+  }
+
+  function gradeMiss(missNm) {
+    if (!Number.isFinite(missNm)) return null;
+    return QUIZ_CONFIG.missGrades.find(({ maxNm }) => missNm <= maxNm)?.grade ?? null;
+  }
+
+  function baseCorrectInterval(wrongsBeforeCorrect) {
+    if (wrongsBeforeCorrect === 0) return QUIZ_CONFIG.correctNoWrongMs;
+    if (wrongsBeforeCorrect <= 2) return QUIZ_CONFIG.correctWithWrongMs;
+    return QUIZ_CONFIG.correctWithWrongMs;
+  }
+
+  function recallResponseMs(responseMs) {
+    if (!Number.isFinite(responseMs)) return null;
+    const allowance = QUIZ_MODES[quizMode]?.responseAllowanceMs ?? 0;
+    return Math.max(0, responseMs - allowance);
+  }
+
+  function latencyIntervalFactor(responseMs) {
+    if (!Number.isFinite(responseMs)) return 1;
+    const { fastResponseMs, slowResponseMs, slowIntervalFactor } = QUIZ_CONFIG;
+    const t = clamp((responseMs - fastResponseMs) / (slowResponseMs - fastResponseMs), 0, 1);
+    return 1 - t * (1 - slowIntervalFactor);
+  }
+
+  function shortTermCorrectInterval(stats, wrongsBeforeCorrect, recallMs) {
+    const base = baseCorrectInterval(wrongsBeforeCorrect);
+    const streakMultiplier =
+      stats.correctStreak > 1
+        ? Math.pow(QUIZ_CONFIG.correctStreakMultiplier, stats.correctStreak - 1)
+        : 1;
+
+    return Math.min(
+      base * streakMultiplier * latencyIntervalFactor(recallMs),
+      QUIZ_CONFIG.maxCorrectIntervalMs
+    );
+  }
+
+  // A scheduler turns answers into due times and statuses:
+  //   rate(stats, answer)         updates scheduler fields and stats.dueAt
+  //   status(stats, now)          'red' | 'yellow' | 'green'
+  //   mastery(stats, now)         0..1, used to rank weak waypoints
+  //   refresh(points, now, track) startup pass for time-based forgetting
+  // `answer` is { correct, wrongsBeforeCorrect, recallMs, now }; streaks and
+  // timestamps are already updated when rate() is called.
+  function createIntervalScheduler() {
+    return {
+      id: 'interval',
+      label: 'Short-term (same day)',
+      rate(stats, { correct, wrongsBeforeCorrect = 0, recallMs = null, missGrade = null, now }) {
+        stats.dueAt = correct
+          ? now + shortTermCorrectInterval(stats, wrongsBeforeCorrect, recallMs)
+          : now + wrongInterval(stats.wrongStreak, missGrade);
+      },
+      status(stats) {
+        return computeStatusFromStreaks(stats);
+      },
+      mastery(stats) {
+        return clamp(masteryFromStats(stats), 0, 1);
+      },
+      refresh(points, now, track) {
+        applyTimeDecayAndDowngrades(points, now, track);
+      },
+    };
+  }
+
+  function fsrsRetrievability(stability, elapsedDays) {
+    return Math.pow(1 + (FSRS_CONFIG.factor * elapsedDays) / stability, FSRS_CONFIG.decay);
+  }
+
+  function fsrsInitialDifficulty(grade) {
+    const w = FSRS_CONFIG.weights;
+    return clamp(w[4] - (grade - 3) * w[5], 1, 10);
+  }
+
+  function fsrsNextDifficulty(difficulty, grade) {
+    const w = FSRS_CONFIG.weights;
+    const next = difficulty - w[6] * (grade - 3);
+    return clamp(w[7] * fsrsInitialDifficulty(3) + (1 - w[7]) * next, 1, 10);
+  }
+
+  function fsrsRecallStability(difficulty, stability, retrievability, grade) {
+    const w = FSRS_CONFIG.weights;
+    const hardPenalty = grade === 2 ? w[15] : 1;
+    const easyBonus = grade === 4 ? w[16] : 1;
+    return (
+      stability *
+      (1 +
+        Math.exp(w[8]) *
+          (11 - difficulty) *
+          Math.pow(stability, -w[9]) *
+          (Math.exp(w[10] * (1 - retrievability)) - 1) *
+          hardPenalty *
+          easyBonus)
+    );
+  }
+
+  function fsrsForgetStability(difficulty, stability, retrievability) {
+    const w = FSRS_CONFIG.weights;
+    const next =
+      w[11] *
+      Math.pow(difficulty, -w[12]) *
+      (Math.pow(stability + 1, w[13]) - 1) *
+      Math.exp(w[14] * (1 - retrievability));
+    return Math.min(next, stability);
+  }
+
+  function fsrsIntervalDays(stability) {
+    const { desiredRetention, decay, factor, maxIntervalDays } = FSRS_CONFIG;
+    const days = (stability / factor) * (Math.pow(desiredRetention, 1 / decay) - 1);
+    return clamp(days, 0, maxIntervalDays);
+  }
+
+  function fsrsGrade({ correct, wrongsBeforeCorrect = 0, recallMs = null }) {
+    if (!correct) return 1;
+    if (wrongsBeforeCorrect > 0) return 2;
+    if (!Number.isFinite(recallMs)) return 3;
+    if (recallMs > QUIZ_CONFIG.slowResponseMs) return 2;
+    if (recallMs <= FSRS_CONFIG.easyResponseMs) return 4;
+    return 3;
+  }
+
+  function fsrsElapsedDays(stats, now) {
+    const reference = stats.lastReviewAt ?? stats.lastCorrectAt ?? stats.lastShownAt;
+    return Number.isFinite(reference) && reference > 0
+      ? Math.max(0, (now - reference) / FORGETTING_CONFIG.dayMs)
+      : 0;
+  }
+
+  // FSRS-style long-term scheduler with per-card difficulty and stability.
+  function createFsrsScheduler() {
+    const hasMemoryState = (stats) =>
+      Number.isFinite(stats.stability) && Number.isFinite(stats.difficulty);
+    // Progress made under the interval scheduler carries over by its status.
+    const seedMemoryState = (stats) => {
+      if (hasMemoryState(stats) || !stats.hasAnswered) return;
+      const stability = FSRS_CONFIG.seedStabilityDays[computeStatusFromStreaks(stats)];
+      if (!stability) return;
+      stats.stability = stability;
+      stats.difficulty = fsrsInitialDifficulty(3);
+    };
+
+    const scheduler = {
+      id: 'fsrs',
+      label: 'Long-term (FSRS)',
+      rate(stats, answer) {
+        const { correct, wrongsBeforeCorrect = 0, recallMs = null, missGrade = null, now } = answer;
+        const grade = fsrsGrade(answer);
+
+        if (!hasMemoryState(stats)) {
+          stats.stability = FSRS_CONFIG.weights[grade - 1];
+          stats.difficulty = fsrsInitialDifficulty(grade);
+        } else {
+          const retrievability = fsrsRetrievability(
+            stats.stability,
+            fsrsElapsedDays(stats, now)
+          );
+          const { difficulty, stability } = stats;
+          stats.difficulty = fsrsNextDifficulty(difficulty, grade);
+          stats.stability = correct
+            ? fsrsRecallStability(difficulty, stability, retrievability, grade)
+            : fsrsForgetStability(difficulty, stability, retrievability);
+        }
+
+        stats.lastReviewAt = now;
+
+        if (!correct) {
+          stats.dueAt = now + wrongInterval(stats.wrongStreak, missGrade);
+        } else if (stats.correctStreak < FSRS_CONFIG.graduateAfterCorrect) {
+          stats.dueAt = now + shortTermCorrectInterval(stats, wrongsBeforeCorrect, recallMs);
+        } else {
+          stats.dueAt = now + fsrsIntervalDays(stats.stability) * FORGETTING_CONFIG.dayMs;
+        }
+      },
+      status(stats, now = Date.now()) {
+        if (!stats.hasAnswered || stats.wrongStreak > 0 || !hasMemoryState(stats)) {
+          return 'red';
+        }
+        const retrievability = fsrsRetrievability(stats.stability, fsrsElapsedDays(stats, now));
+        if (retrievability < FSRS_CONFIG.redRetrievability) return 'red';
+        if (
+          stats.stability >= FSRS_CONFIG.greenStabilityDays &&
+          retrievability >= FSRS_CONFIG.desiredRetention &&
+          computeStatusFromStreaks(stats) === 'green'
+        ) {
+          return 'green';
+        }
+        return stats.correctStreak > 0 ? 'yellow' : 'red';
+      },
+      mastery(stats, now = Date.now()) {
+        if (!hasMemoryState(stats)) return 0;
+        const retrievability = fsrsRetrievability(stats.stability, fsrsElapsedDays(stats, now));
+        return retrievability * clamp(stats.stability / FSRS_CONFIG.greenStabilityDays, 0, 1);
+      },
+      refresh(points, now, track) {
+        points.forEach((wp) => {
+          const stats = normalizeStats(wp[STATS_TRACKS[track].statsKey], now);
+          setStats(wp, track, stats);
+          stats.lastSessionAt = now;
+          seedMemoryState(stats);
+
+          const previous = stats.status;
+          updateStatusFromStreaks(stats, now);
+          const rank = { red: 0, yellow: 1, green: 2 };
+          if (rank[stats.status] < rank[previous]) {
+            const dueAt = Number.isFinite(stats.dueAt) ? stats.dueAt : Infinity;
+            stats.dueAt = Math.min(dueAt, now + FORGETTING_CONFIG.downgradeCooldownMs);
+          }
+          persistWaypointStats(wp, track);
+        });
+      },
+    };
+
+    return scheduler;
+  }
+
+  function readProfiles() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(PROFILES_STORAGE_KEY) || 'null');
+      if (Array.isArray(stored?.profiles) && stored.profiles.length) return stored;
+    } catch (error) {
+      console.warn('Failed to restore profiles', error);
+    }
+    return { active: DEFAULT_PROFILE.id, profiles: [DEFAULT_PROFILE] };
+  }
+
+  function restoreActiveProfileId() {
+    const { active, profiles } = readProfiles();
+    return profiles.some(({ id }) => id === active) ? active : DEFAULT_PROFILE.id;
+  }
+
+  // The default profile keeps the unprefixed keys written before profiles existed.
+  function profileStorageKey(key) {
+    return activeProfileId === DEFAULT_PROFILE.id ? key : `profile:${activeProfileId}:${key}`;
+  }
+
+  function persistProfiles(data) {
+    try {
+      localStorage.setItem(PROFILES_STORAGE_KEY, JSON.stringify(data));
+      return true;
+    } catch (error) {
+      console.warn('Failed to persist profiles', error);
+      return false;
+    }
+  }
+
+  // Storage keys are fixed at startup, so a switch reloads the page.
+  async function switchProfile(id) {
+    const data = readProfiles();
+    if (id === activeProfileId || !data.profiles.some((profile) => profile.id === id)) return;
+    if (!persistProfiles({ ...data, active: id })) return;
+    await Promise.all([statsStore?.flush(), answerJournal?.flush()]);
+    window.location.reload();
+  }
+
+  function addProfile(name) {
+    const trimmed = `${name ?? ''}`.trim();
+    if (!trimmed) return;
+    const data = readProfiles();
+    const id = `p${Date.now().toString(36)}`;
+    if (persistProfiles({ ...data, profiles: [...data.profiles, { id, name: trimmed }] })) {
+      switchProfile(id);
+    }
+  }
+
+  function setupProfileControls() {
+    if (profileSelect) {
+      profileSelect.innerHTML = '';
+      readProfiles().profiles.forEach(({ id, name }) => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = name;
+        profileSelect.appendChild(option);
+      });
+      profileSelect.value = activeProfileId;
+      profileSelect.addEventListener('change', () => switchProfile(profileSelect.value));
+    }
+
+    profileForm?.addEventListener('submit', (event) => {
+      event.preventDefault();
+      addProfile(profileNameInput?.value);
+    });
+  }
+
+  function activeScheduler() {
+    return SCHEDULERS[schedulerId] ?? SCHEDULERS.interval;
+  }
+
+  function restoreSchedulerId() {
+    try {
+      const stored = localStorage.getItem(SCHEDULER_STORAGE_KEY);
+      if (stored && SCHEDULERS[stored]) return stored;
+    } catch (error) {
+      console.warn('Failed to restore scheduler preference', error);
+    }
+    return 'interval';
+  }
+
+  function setSchedulerId(id) {
+    if (!SCHEDULERS[id] || id === schedulerId) return;
+    schedulerId = id;
+    if (schedulerSelect) schedulerSelect.value = id;
+    try {
+      localStorage.setItem(SCHEDULER_STORAGE_KEY, id);
+    } catch (error) {
+      console.warn('Failed to persist scheduler preference', error);
+    }
+
+    const now = Date.now();
+    Object.keys(STATS_TRACKS).forEach((track) =>
+      activeScheduler().refresh(waypoints, now, track)
+    );
+    updateStatusCounters();
+  }
+
+  function setupSchedulerControls() {
+    schedulerId = restoreSchedulerId();
+    if (!schedulerSelect) return;
+
+    schedulerSelect.innerHTML = '';
+    Object.values(SCHEDULERS).forEach(({ id, label }) => {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = label;
+      schedulerSelect.appendChild(option);
+    });
+    schedulerSelect.value = schedulerId;
+    schedulerSelect.addEventListener('change', () => setSchedulerId(schedulerSelect.value));
+  }
+
+  function applyWrong(waypoint, track = currentTrack(), missGrade = null) {
+    const stats = getStats(waypoint, track);
+    const now = Date.now();
+    stats.wrongStreak += 1;
+    stats.correctStreak = 0;
+    stats.hasAnswered = true;
+    stats.lastSeenAt = now;
+    stats.lastSessionAt = now;
+    stats.lastAnswerWasInstant = false;
+    activeScheduler().rate(stats, { correct: false, missGrade, now });
+    stats.lastShownAt = now;
+    updateStatusFromStreaks(stats, now);
+    persistWaypointStats(waypoint, track);
+    updateStatusCounters();
+  }
+
+  function applyCorrect(waypoint, wrongsBeforeCorrect, responseMs = null, track = currentTrack()) {
+    const stats = getStats(waypoint, track);
+    const now = Date.now();
+    const recallMs = recallResponseMs(responseMs);
+    stats.wrongStreak = 0;
+    stats.correctStreak += 1;
+    stats.hasAnswered = true;
+    stats.lastSeenAt = now;
+    stats.lastSessionAt = now;
+    stats.lastCorrectAt = now;
+    stats.lastAnswerWasInstant =
+      wrongsBeforeCorrect === 0 && (recallMs === null || recallMs <= QUIZ_CONFIG.fastResponseMs);
+
+    if (recallMs !== null) {
+      stats.lastResponseMs = recallMs;
+      stats.avgResponseMs = Number.isFinite(stats.avgResponseMs)
+        ? stats.avgResponseMs +
+          QUIZ_CONFIG.responseAverageWeight * (recallMs - stats.avgResponseMs)
+        : recallMs;
+    }
+
+    activeScheduler().rate(stats, { correct: true, wrongsBeforeCorrect, recallMs, now });
+    stats.lastShownAt = now;
+    updateStatusFromStreaks(stats, now);
+    persistWaypointStats(waypoint, track);
+    updateStatusCounters();
+  }
+
+  function setupQuizModeControls() {
+    quizMode = restoreQuizMode();
+
+    if (quizModeSelect) {
+      quizModeSelect.innerHTML = '';
+      Object.entries(QUIZ_MODES).forEach(([mode, { label }]) => {
+        const option = document.createElement('option');
+        option.value = mode;
+        option.textContent = label;
+        quizModeSelect.appendChild(option);
+      });
+      quizModeSelect.value = quizMode;
+      quizModeSelect.addEventListener('change', () => setQuizMode(quizModeSelect.value));
+    }
+
+    answerForm?.addEventListener('submit', (event) => {
+      event.preventDefault();
+      handleTypedAnswer(answerInput?.value ?? '');
+    });
+
+    syncAnswerPanel();
+  }
+
+  function setQuizMode(mode) {
+    if (!QUIZ_MODES[mode] || mode === quizMode) return;
+    quizMode = mode;
+    persistQuizMode();
+    if (quizModeSelect) quizModeSelect.value = mode;
+
+    stopRevealMode();
+    currentTarget = null;
+    currentWrongCount = 0;
+    vectorQuestion = null;
+    syncAnswerPanel();
+    updateStatusCounters();
+    updateCurrentTarget();
+  }
+
+  function syncAnswerPanel() {
+    const typing = quizMode === 'type';
+    const choosing = quizMode === 'choice';
+    const vectoring = quizMode === 'vector';
+    if (answerPanel) answerPanel.hidden = !typing && !choosing && !vectoring;
+    if (answerForm) answerForm.hidden = !typing;
+    if (vectorForm) vectorForm.hidden = !vectoring;
+    clearAnswerFeedback();
+    syncVectorForm();
+    if (answerInput) {
+      answerInput.value = '';
+      answerInput.disabled = !typing || !currentTarget;
+    }
+    renderChoiceButtons(choosing ? currentTarget : null);
+  }
+
+  function onFIRSelectionChanged() {
+    persistEnabledFIRs();
+    updateProjection();
+    fitViewToRegion();
+    updateVisibleWaypoints();
+    updateStatusCounters();
+    updateCurrentTarget();
+    requestRender();
+  }
+
+  function randomItem(list) {
+    if (!list?.length) return null;
+    const index = Math.floor(Math.random() * list.length);
+    return list[index];
+  }
+
+  function statusWeight(waypoint) {
+    const status = waypoint ? getStats(waypoint).status : undefined;
+    return QUIZ_CONFIG.statusPriorityWeights[status] ?? 1;
+  }
+
+  function weightedRandomItem(list, weightFn) {
+    if (!list?.length) return null;
+
+    const weighted = list.map((item) => ({
+      item,
+      weight: Math.max(0, Number(weightFn(item)) || 0),
+    }));
+
+    const totalWeight = weighted.reduce((sum, entry) => sum + entry.weight, 0);
+    if (totalWeight <= 0) return randomItem(list);
+
+    let threshold = Math.random() * totalWeight;
+    for (const entry of weighted) {
+      threshold -= entry.weight;
+      if (threshold <= 0) {
+        return entry.item;
+      }
+    }
+
+    return weighted[weighted.length - 1].item;
+  }
+
+  function pickConfusedFollowUp(pool, previousId, now) {
+    if (!previousId || Math.random() >= CONFUSION_CONFIG.drillChance) return null;
+    const byId = new Map(pool.map((wp) => [wp.id, wp]));
+    const pairCounts = new Map(
+      confusionPairs()
+        .filter(({ ids }) => ids.includes(previousId))
+        .map(({ ids, count }) => [ids[0] === previousId ? ids[1] : ids[0], count])
+    );
+
+    return (
+      confusedPartnerIds(previousId)
+        .filter((id) => (pairCounts.get(id) ?? 0) >= CONFUSION_CONFIG.drillMinCount)
+        .map((id) => byId.get(id))
+        .find(
+          (wp) => wp && now - (getStats(wp).lastSeenAt || 0) >= CONFUSION_CONFIG.drillCooldownMs
+        ) ?? null
+    );
+  }
+
+  function chooseNextTarget(availableWaypoints, { excludeId, previousId } = {}) {
+    const pool = excludeId
+      ? availableWaypoints.filter((wp) => wp.id !== excludeId)
+      : availableWaypoints;
+
+    if (!pool.length) return null;
+
+    const now = Date.now();
+    const followUp = pickConfusedFollowUp(pool, previousId, now);
+    if (followUp) return followUp;
+    const groupA = [];
+    const groupB = [];
+    const groupC = [];
+
+    pool.forEach((wp) => {
+      const { seen, hasAnswered, dueAt } = getStats(wp);
+
+      if (hasAnswered && (dueAt ?? now) <= now) {
+        groupA.push(wp);
+        return;
+      }
+
+      if (!seen) {
+        groupB.push(wp);
+        return;
+      }
+
+      if (hasAnswered) {
+        groupC.push({ wp, dueAt });
+      }
+    });
+
+    if (groupA.length) {
+      return weightedRandomItem(groupA, statusWeight);
+    }
+
+    if (groupB.length) {
+      return weightedRandomItem(groupB, statusWeight);
+    }
+
+    if (groupC.length) {
+      const jittered = groupC.map(({ wp, dueAt }) => ({
+        wp,
+        value: (dueAt ?? now) + Math.random() * 2000 - statusWeight(wp) * 400,
+      }));
+
+      jittered.sort((a, b) => a.value - b.value);
+      return jittered[0].wp;
+    }
+
+    return randomItem(pool);
+  }
+
+  function refreshQueuedNextTarget() {
+    queuedNextTarget = chooseNextTarget(visibleWaypoints, {
+      excludeId: currentTarget?.id,
+    });
+  }
+
+  function takeQueuedNextTarget() {
+    if (!visibleWaypoints.length) {
+      queuedNextTarget = null;
+      return null;
+    }
+
+    const available = visibleWaypoints.filter((wp) => wp.id !== currentTarget?.id);
+    if (!available.length) {
+      queuedNextTarget = null;
+      return null;
+    }
+
+    const next = chooseNextTarget(available, { previousId: currentTarget?.id });
+    queuedNextTarget = null;
+    return next;
+  }
+
+  function markWaypointSeen(waypoint) {
+    if (!waypoint) return;
+    const stats = getStats(waypoint);
+    const now = Date.now();
+
+    stats.seen = true;
+    stats.lastSeenAt = now;
+    stats.lastSessionAt = now;
+    persistWaypointStats(waypoint);
+
+    if (shownTargetId !== waypoint.id) {
+      shownTargetId = waypoint.id;
+      targetShownAt = now;
+    }
+  }
+
+  function updateCurrentTarget() {
+    if (!enabledFIRs.size) {
+      stopRevealMode();
+      currentTarget = null;
+      updateTopBar();
+      return;
+    }
+
+    const availableWaypoints = visibleWaypoints;
+
+    if (!availableWaypoints.length) {
+      stopRevealMode();
+      currentTarget = null;
+      updateTopBar();
+      return;
+    }
+
+    if (!currentTarget || !waypointInFIRs(currentTarget, enabledFIRs)) {
+      stopRevealMode();
+      currentTarget = chooseNextTarget(availableWaypoints);
+      currentWrongCount = 0;
+    }
+
+    markWaypointSeen(currentTarget);
+
+    queuedNextTarget = null;
+
+    presentCurrentTarget();
+  }
+
+  function advanceToNextTarget() {
+    currentWrongCount = 0;
+    stopRevealMode();
+    refreshQueuedNextTarget();
+    currentTarget = takeQueuedNextTarget();
+    markWaypointSeen(currentTarget);
+    presentCurrentTarget();
+  }
+
+  function presentCurrentTarget() {
+    if (examState) return;
+
+    if (QUIZ_MODES[quizMode]?.blinkTarget && currentTarget) {
+      startRevealMode();
+      ensureWaypointInView(currentTarget);
+    }
+
+    if (quizMode === 'vector') prepareVectorQuestion();
+
+    syncAnswerPanel();
+    if (quizMode === 'type' && currentTarget) {
+      answerInput?.focus({ preventScroll: true });
+    }
+    if (quizMode === 'vector' && vectorQuestion && !vectorQuestion.result) {
+      vectorBearingInput?.focus({ preventScroll: true });
+    }
+
+    updateTopBar();
+    requestRender();
+  }
+
+  function updateTopBar() {
+    if (!topBarTitle) return;
+    const text = topBarText();
+    topBarTitle.textContent = text;
+    if (text !== lastAnnouncedTitle) {
+      lastAnnouncedTitle = text;
+      announce(text.replace(' → ', ' to '));
+    }
+  }
+
+  function topBarText() {
+    if (initializationError) {
+      return initializationError;
+    }
+
+    const examQuestion = currentExamQuestion();
+    if (examQuestion) {
+      return `${examQuestion.target.name} (${examQuestion.target.fir})`;
+    }
+
+    if (!enabledFIRs.size) {
+      return FIR_DISABLED_MESSAGE;
+    }
+
+    if (quizMode === 'vector' && vectorQuestion) {
+      const { from, to } = vectorQuestion;
+      return `${from.name} → ${to.name} (${vectorReferenceLabel()})`;
+    }
+
+    const modePrompt = QUIZ_MODES[quizMode]?.prompt;
+    if (currentTarget && modePrompt) {
+      return `${modePrompt} (${currentTarget.fir})`;
+    }
+
+    if (currentTarget) {
+      return `${currentTarget.name} (${currentTarget.fir})`;
+    }
+
+    return 'Waypoint Name';
+  }
+
+  function categorizeWaypoint(stats) {
+    const merged = { ...defaultStats(), ...stats };
+
+    if (merged.status === 'red' || merged.status === 'yellow' || merged.status === 'green') {
+      return merged.status;
+    }
+
+    return computeStatusFromStreaks(merged);
+  }
+
+  function updateStatusCounters() {
+    if (dashboardOpen) renderDashboard();
+    if (!countRedEl || !countYellowEl || !countGreenEl) return;
+    if (initializationError || !visibleWaypoints.length) {
+      countRedEl.textContent = '0';
+      countYellowEl.textContent = '0';
+      countGreenEl.textContent = '0';
+      return;
+    }
+
+    const counts = { red: 0, yellow: 0, green: 0 };
+
+    visibleWaypoints.forEach((wp) => {
+      const category = categorizeWaypoint(getStats(wp));
+      counts[category] += 1;
+    });
+
+    countRedEl.textContent = `${counts.red}`;
+    countYellowEl.textContent = `${counts.yellow}`;
+    countGreenEl.textContent = `${counts.green}`;
+
+    const summary = `${counts.red} not learned, ${counts.yellow} being learned, ${counts.green} known well`;
+    if (lastAnnouncedCounts !== null && summary !== lastAnnouncedCounts) announce(summary);
+    lastAnnouncedCounts = summary;
+  }
+
+  function announce(message) {
+    if (!srAnnouncer || !message) return;
+    pendingAnnouncements.push(message);
+    if (pendingAnnouncements.length > 1) return;
+    setTimeout(() => {
+      srAnnouncer.textContent = pendingAnnouncements.splice(0).join('. ');
+    }, 0);
+  }
+
+  function setInitializationError(message) {
+    initializationError = message;
+    updateTopBar();
+  }
 
   function flashTopBar(type) {
     if (!topBar) return;
     const className = type === 'correct' ? 'flash-correct' : 'flash-wrong';
+    announce(type === 'correct' ? 'Correct' : 'Wrong');
     topBar.classList.remove('flash-correct', 'flash-wrong');
     // force reflow to allow retriggering the flash
     void topBar.offsetWidth;
@@ -874,32 +3906,36 @@
     projection = createProjection(bounds, firGeoJSON, waypoints);
     if (!projection) return;
 
-    waypoints = waypoints.map((wp) => {
-      const { x, y } = projection.project(wp.lon, wp.lat);
-      return { ...wp, x, y };
+    // Updated in place: targets and exam questions hold references.
+    waypoints.forEach((wp) => {
+      Object.assign(wp, projection.project(wp.lon, wp.lat));
     });
 
-    epwwBounds = computeRegionBounds('WARSZAWA FIR', 'EPWW');
+    regionBounds = computeRegionBounds(enabledFIRs);
     updateVisibleWaypoints();
   }
 
+  function firBoundaryFeatures(firCode) {
+    return (
+      window.WaypointValidator?.findFIRFeatures(
+        firGeoJSON,
+        firCode,
+        firMetadata.get(firCode)?.avName
+      ) ?? []
+    );
+  }
+
   function getPreferredBounds(firData, waypointList) {
-    const warsawFirBounds = computeBounds(filterFIRFeatures(firData, 'WARSZAWA FIR'), waypointList);
-    if (warsawFirBounds) {
-      return warsawFirBounds;
+    const regionWaypoints = waypointList.filter((wp) => waypointInFIRs(wp, enabledFIRs));
+    const regionFeatures = [...enabledFIRs].flatMap(firBoundaryFeatures);
+    const enabledBounds = computeBounds({ features: regionFeatures }, regionWaypoints);
+    if (enabledBounds) {
+      return enabledBounds;
     }
 
     return computeBounds(firData, waypointList) ?? DEFAULT_VIEW_BOUNDS;
   }
 
-  function filterFIRFeatures(firData, firName) {
-    const features = firData?.features?.filter(
-      (feature) => feature?.properties?.AV_NAME === firName
-    );
-
-    return features?.length ? { ...firData, features } : firData;
-  }
-
   function computeBounds(firData, waypointList) {
     const bounds = {
       minLon: Infinity,
@@ -973,29 +4009,221 @@
     }
   }
 
+  // World units are radians on the unit sphere, y southwards, for every type.
+  function createEquirectangularProjectionType() {
+    return {
+      id: 'equirectangular',
+      label: 'Equirectangular',
+      create(bounds) {
+        const lat0Rad = degToRad((bounds.minLat + bounds.maxLat) / 2);
+        return {
+          project(lon, lat) {
+            return { x: degToRad(lon) * Math.cos(lat0Rad), y: -degToRad(lat) };
+          },
+          unproject(x, y) {
+            return { lon: radToDeg(x / Math.cos(lat0Rad)), lat: radToDeg(-y) };
+          },
+        };
+      },
+    };
+  }
+
+  // Spherical Lambert conformal conic, as on most radar video maps.
+  function createLambertProjectionType() {
+    return {
+      id: 'lambert',
+      label: 'Lambert conformal conic',
+      create(bounds) {
+        const span = bounds.maxLat - bounds.minLat;
+        const phi1 = degToRad(bounds.minLat + span / 6);
+        const phi2 = degToRad(bounds.maxLat - span / 6);
+        const phi0 = degToRad((bounds.minLat + bounds.maxLat) / 2);
+        const lambda0 = degToRad((bounds.minLon + bounds.maxLon) / 2);
+        const t = (phi) => Math.tan(Math.PI / 4 + phi / 2);
+
+        const n =
+          Math.abs(phi1 - phi2) < 1e-6
+            ? Math.sin(phi1)
+            : Math.log(Math.cos(phi1) / Math.cos(phi2)) / Math.log(t(phi2) / t(phi1));
+        const F = (Math.cos(phi1) * Math.pow(t(phi1), n)) / n;
+        const rho = (phi) => F / Math.pow(t(phi), n);
+        const rho0 = rho(phi0);
+
+        return {
+          project(lon, lat) {
+            const r = rho(degToRad(lat));
+            const theta = n * (degToRad(lon) - lambda0);
+            return { x: r * Math.sin(theta), y: r * Math.cos(theta) - rho0 };
+          },
+          unproject(x, y) {
+            const dy = rho0 + y;
+            const r = Math.sign(n) * Math.hypot(x, dy);
+            const theta = Math.atan2(Math.sign(n) * x, Math.sign(n) * dy);
+            return {
+              lon: radToDeg(lambda0 + theta / n),
+              lat: radToDeg(2 * Math.atan(Math.pow(F / r, 1 / n)) - Math.PI / 2),
+            };
+          },
+        };
+      },
+    };
+  }
+
+  function activeProjectionType() {
+    return PROJECTIONS[projectionId] ?? PROJECTIONS.equirectangular;
+  }
+
   function createProjection(bounds, firData, waypointList) {
-    const lat0Rad = degToRad((bounds.minLat + bounds.maxLat) / 2);
+    const { id, create } = activeProjectionType();
+    const { project, unproject } = create(bounds);
+
+    const worldBounds = computeProjectedBounds(firData, waypointList, project, bounds);
+    if (!worldBounds) return null;
+
+    return { id, project, unproject, worldBounds };
+  }
+
+  function restoreProjectionId() {
+    try {
+      const stored = localStorage.getItem(PROJECTION_STORAGE_KEY);
+      if (stored && PROJECTIONS[stored]) return stored;
+    } catch (error) {
+      console.warn('Failed to restore projection preference', error);
+    }
+    return 'equirectangular';
+  }
+
+  function setProjectionId(id) {
+    if (!PROJECTIONS[id] || id === projectionId) return;
+    const center = projection?.unproject(
+      (canvas.width / 2 - viewport.offsetX) / viewport.scale,
+      (canvas.height / 2 - viewport.offsetY) / viewport.scale
+    );
+
+    projectionId = id;
+    if (projectionSelect) projectionSelect.value = id;
+    try {
+      localStorage.setItem(PROJECTION_STORAGE_KEY, id);
+    } catch (error) {
+      console.warn('Failed to persist projection preference', error);
+    }
+
+    updateProjection();
+    if (center && projection) {
+      const { x, y } = projection.project(center.lon, center.lat);
+      viewport.offsetX = canvas.width / 2 - x * viewport.scale;
+      viewport.offsetY = canvas.height / 2 - y * viewport.scale;
+    }
+    requestRender();
+  }
 
-    const toWorld = (lon, lat) => ({
-      x: degToRad(lon) * Math.cos(lat0Rad),
-      y: -degToRad(lat),
+  function setupProjectionControls() {
+    projectionId = restoreProjectionId();
+    if (!projectionSelect) return;
+
+    projectionSelect.innerHTML = '';
+    Object.values(PROJECTIONS).forEach(({ id, label }) => {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = label;
+      projectionSelect.appendChild(option);
     });
+    projectionSelect.value = projectionId;
+    projectionSelect.addEventListener('change', () => setProjectionId(projectionSelect.value));
+  }
+
+  function activeTheme() {
+    return THEMES[themeId] ?? THEMES.light;
+  }
+
+  function restoreThemeId() {
+    try {
+      const stored = localStorage.getItem(THEME_STORAGE_KEY);
+      if (stored && THEMES[stored]) return stored;
+    } catch (error) {
+      console.warn('Failed to restore theme preference', error);
+    }
+    return 'light';
+  }
+
+  function applyThemeToDocument() {
+    document.documentElement.dataset.theme = themeId;
+    const scopeActive = Boolean(activeTheme().rangeRings);
+    if (setScopeCenterButton) setScopeCenterButton.disabled = !scopeActive;
+    if (clearScopeCenterButton) clearScopeCenterButton.disabled = !scopeActive || !scopeCenter;
+  }
+
+  function setThemeId(id) {
+    if (!THEMES[id] || id === themeId) return;
+    themeId = id;
+    if (themeSelect) themeSelect.value = id;
+    try {
+      localStorage.setItem(THEME_STORAGE_KEY, id);
+    } catch (error) {
+      console.warn('Failed to persist theme preference', error);
+    }
+    applyThemeToDocument();
+    requestRender();
+  }
+
+  function restoreScopeCenter() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(SCOPE_CENTER_STORAGE_KEY) || 'null');
+      if (Number.isFinite(stored?.lon) && Number.isFinite(stored?.lat)) return stored;
+    } catch (error) {
+      console.warn('Failed to restore range ring centre', error);
+    }
+    return null;
+  }
+
+  function setScopeCenter(point) {
+    scopeCenter = point;
+    try {
+      if (point) {
+        localStorage.setItem(SCOPE_CENTER_STORAGE_KEY, JSON.stringify(point));
+      } else {
+        localStorage.removeItem(SCOPE_CENTER_STORAGE_KEY);
+      }
+    } catch (error) {
+      console.warn('Failed to persist range ring centre', error);
+    }
+    applyThemeToDocument();
+    requestRender();
+  }
 
-    const worldBounds = computeProjectedBounds(
-      firData,
-      waypointList,
-      toWorld,
-      bounds
+  function scopeReferencePoint() {
+    if (scopeCenter) return scopeCenter;
+    if (!regionBounds || !projection) return null;
+    return projection.unproject(
+      (regionBounds.minX + regionBounds.maxX) / 2,
+      (regionBounds.minY + regionBounds.maxY) / 2
     );
+  }
 
-    if (!worldBounds) return null;
+  function setupThemeControls() {
+    themeId = restoreThemeId();
+    scopeCenter = restoreScopeCenter();
+    applyThemeToDocument();
+
+    if (themeSelect) {
+      themeSelect.innerHTML = '';
+      Object.values(THEMES).forEach(({ id, label }) => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = label;
+        themeSelect.appendChild(option);
+      });
+      themeSelect.value = themeId;
+      themeSelect.addEventListener('change', () => setThemeId(themeSelect.value));
+    }
 
-    return {
-      project(lon, lat) {
-        return toWorld(lon, lat);
-      },
-      worldBounds,
-    };
+    setScopeCenterButton?.addEventListener('click', () => {
+      if (!projection) return;
+      const { x, y } = screenToWorld(canvas.width / 2, canvas.height / 2);
+      const { lon, lat } = projection.unproject(x, y);
+      setScopeCenter({ lon, lat });
+    });
+    clearScopeCenterButton?.addEventListener('click', () => setScopeCenter(null));
   }
 
   function computeProjectedBounds(firData, waypointList, toWorld, fallbackBounds) {
@@ -1033,30 +4261,231 @@
     return (value * Math.PI) / 180;
   }
 
+  function radToDeg(value) {
+    return (value * 180) / Math.PI;
+  }
+
+  function greatCircleDistanceNm(lon1, lat1, lon2, lat2) {
+    const dLat = degToRad(lat2 - lat1);
+    const dLon = degToRad(lon2 - lon1);
+    const a =
+      Math.sin(dLat / 2) ** 2 +
+      Math.cos(degToRad(lat1)) * Math.cos(degToRad(lat2)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_NM * Math.asin(Math.min(1, Math.sqrt(a)));
+  }
+
+  function initialBearingDeg(from, to) {
+    const lat1 = degToRad(from.lat);
+    const lat2 = degToRad(to.lat);
+    const dLon = degToRad(to.lon - from.lon);
+    const y = Math.sin(dLon) * Math.cos(lat2);
+    const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLon);
+    return normalizeBearing(radToDeg(Math.atan2(y, x)));
+  }
+
+  function normalizeBearing(value) {
+    return ((value % 360) + 360) % 360;
+  }
+
+  function bearingDifferenceDeg(a, b) {
+    const diff = Math.abs(normalizeBearing(a) - normalizeBearing(b));
+    return Math.min(diff, 360 - diff);
+  }
+
+  function formatBearing(value) {
+    const rounded = Math.round(normalizeBearing(value)) % 360 || 360;
+    return `${rounded}`.padStart(3, '0');
+  }
+
+  function destinationPoint({ lon, lat }, bearingDeg, distanceNm) {
+    const angular = distanceNm / EARTH_RADIUS_NM;
+    const bearing = degToRad(bearingDeg);
+    const lat1 = degToRad(lat);
+    const lat2 = Math.asin(
+      Math.sin(lat1) * Math.cos(angular) +
+        Math.cos(lat1) * Math.sin(angular) * Math.cos(bearing)
+    );
+    const lon2 =
+      degToRad(lon) +
+      Math.atan2(
+        Math.sin(bearing) * Math.sin(angular) * Math.cos(lat1),
+        Math.cos(angular) - Math.sin(lat1) * Math.sin(lat2)
+      );
+    return { lon: radToDeg(lon2), lat: radToDeg(lat2) };
+  }
+
   function render() {
     renderScheduled = false;
 
-    ctx.fillStyle = '#fff';
+    const theme = activeTheme();
+    ctx.fillStyle = theme.background;
     ctx.fillRect(0, 0, canvas.width, canvas.height);
 
     if (!projection) return;
 
-    drawFIRBoundaries();
-    drawWaypoints();
-  }
+    if (theme.rangeRings) drawRangeRings(theme.rangeRings);
+    drawFIRBoundaries(theme);
+    drawWaypoints(theme);
+    if (quizMode === 'vector' && vectorQuestion && !examState) drawVectorQuestion(theme);
+    if (quizMode === 'tap' && missLine?.target === currentTarget && !examState) drawMissLine();
+    if (canvasHasKeyboardFocus()) drawKeyboardCursor(theme);
+  }
+
+  // A tap also focuses the canvas; only keyboard focus gets the cursor.
+  function canvasHasKeyboardFocus() {
+    try {
+      return canvas.matches(':focus-visible');
+    } catch (error) {
+      return false;
+    }
+  }
+
+  function drawKeyboardCursor(theme) {
+    const { x, y } = keyboardCursorPoint();
+    ctx.strokeStyle = theme.target;
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    ctx.moveTo(x - 10, y);
+    ctx.lineTo(x + 10, y);
+    ctx.moveTo(x, y - 10);
+    ctx.lineTo(x, y + 10);
+    ctx.stroke();
+
+    const selected = keyboardCursor.candidates[keyboardCursor.index];
+    if (!selected) return;
+    const point = worldToScreen(selected);
+    ctx.lineWidth = 2;
+    ctx.setLineDash([4, 3]);
+    ctx.beginPath();
+    ctx.arc(point.x, point.y, waypointRadius() + 8, 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.setLineDash([]);
+  }
+
+  function boundaryStyle(theme, feature) {
+    return theme.boundaries[feature?.properties?.UL_VISIBLE] ?? theme.boundaries.both;
+  }
+
+  function drawFIRBoundaries(theme) {
+    if (!firGeoJSON?.features) return;
+
+    ctx.lineWidth = 1;
+    firGeoJSON.features.forEach((feature) => {
+      const { color, dash } = boundaryStyle(theme, feature);
+      ctx.strokeStyle = color;
+      ctx.setLineDash(dash);
+      traceGeometry(feature.geometry, true);
+    });
+
+    ctx.lineWidth = 1.5;
+    firOutlines
+      .filter(({ fir }) => enabledFIRs.has(fir))
+      .forEach(({ color, features }) => {
+        ctx.strokeStyle = color;
+        features.forEach((feature) => {
+          ctx.setLineDash(boundaryStyle(theme, feature).dash);
+          traceGeometry(feature.geometry, true);
+        });
+      });
+    ctx.setLineDash([]);
+  }
+
+  // Bearing ticks are true, not magnetic.
+  function drawRangeRings({ color, label }) {
+    const center = scopeReferencePoint();
+    if (!center) return;
+
+    const toScreen = ({ lon, lat }) => worldToScreen(projection.project(lon, lat));
+    const origin = toScreen(center);
+    const probeNm = SCOPE_CONFIG.ringStepsNm[0];
+    const probe = toScreen(destinationPoint(center, 90, probeNm));
+    const pxPerNm = Math.hypot(probe.x - origin.x, probe.y - origin.y) / probeNm;
+    if (!(pxPerNm > 0)) return;
+
+    const stepNm =
+      SCOPE_CONFIG.ringStepsNm.find((step) => step * pxPerNm >= SCOPE_CONFIG.minRingSpacingPx) ??
+      SCOPE_CONFIG.ringStepsNm[SCOPE_CONFIG.ringStepsNm.length - 1];
+    const spacingPx = stepNm * pxPerNm;
+    const reachPx = Math.max(
+      ...[
+        [0, 0],
+        [canvas.width, 0],
+        [0, canvas.height],
+        [canvas.width, canvas.height],
+      ].map(([x, y]) => Math.hypot(x - origin.x, y - origin.y))
+    );
+    const ringCount = Math.min(Math.ceil(reachPx / spacingPx), SCOPE_CONFIG.maxRings);
+    const edgePx = Math.min(
+      origin.x,
+      origin.y,
+      canvas.width - origin.x,
+      canvas.height - origin.y
+    );
+    const labelRing = Math.min(
+      Math.floor((edgePx - SCOPE_CONFIG.majorTickLengthPx * 3) / spacingPx),
+      ringCount
+    );
+
+    ctx.strokeStyle = color;
+    ctx.fillStyle = label;
+    ctx.lineWidth = 1;
+    ctx.font = '11px system-ui, sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+
+    for (let ring = 1; ring <= ringCount; ring += 1) {
+      const distanceNm = ring * stepNm;
+      ctx.beginPath();
+      for (let i = 0; i <= SCOPE_CONFIG.ringSegments; i += 1) {
+        const point = toScreen(
+          destinationPoint(center, (i * 360) / SCOPE_CONFIG.ringSegments, distanceNm)
+        );
+        if (i === 0) {
+          ctx.moveTo(point.x, point.y);
+        } else {
+          ctx.lineTo(point.x, point.y);
+        }
+      }
 
-  function drawFIRBoundaries() {
-    if (!firGeoJSON?.features) return;
+      for (let bearing = 0; bearing < 360; bearing += SCOPE_CONFIG.tickStepDeg) {
+        const point = toScreen(destinationPoint(center, bearing, distanceNm));
+        const length = Math.hypot(point.x - origin.x, point.y - origin.y) || 1;
+        const dx = (point.x - origin.x) / length;
+        const dy = (point.y - origin.y) / length;
+        const major = bearing % SCOPE_CONFIG.labelStepDeg === 0;
+        const tick = major ? SCOPE_CONFIG.majorTickLengthPx : SCOPE_CONFIG.tickLengthPx;
+        ctx.moveTo(point.x, point.y);
+        ctx.lineTo(point.x + dx * tick, point.y + dy * tick);
+
+        if (major && ring === labelRing) {
+          ctx.fillText(
+            `${bearing}`.padStart(3, '0'),
+            point.x + dx * tick * 2.2,
+            point.y + dy * tick * 2.2
+          );
+        }
+      }
+      ctx.stroke();
 
-    ctx.strokeStyle = '#c4c4c4';
-    ctx.lineWidth = 1;
+      const labelPoint = toScreen(destinationPoint(center, 45, distanceNm));
+      ctx.fillText(`${distanceNm}`, labelPoint.x, labelPoint.y);
+    }
+  }
 
-    firGeoJSON.features.forEach((feature) => {
-      traceGeometry(feature.geometry, true);
-    });
+  function traceFixSymbol(x, y, radius, symbol) {
+    ctx.beginPath();
+    if (symbol === 'triangle') {
+      const size = radius * 1.4;
+      ctx.moveTo(x, y - size);
+      ctx.lineTo(x + size * 0.866, y + size * 0.5);
+      ctx.lineTo(x - size * 0.866, y + size * 0.5);
+      ctx.closePath();
+      return;
+    }
+    ctx.arc(x, y, radius, 0, Math.PI * 2);
   }
 
-  function drawWaypoints() {
+  function waypointRadius() {
     const scaleRange = MAX_SCALE - MIN_SCALE || 1;
     const scaleRatio = Math.min(
       Math.max((viewport.scale - MIN_SCALE) / scaleRange, 0),
@@ -1064,27 +4493,121 @@
     );
     const minRadius = 2.5;
     const maxRadius = 7;
-    const radius = minRadius + (maxRadius - minRadius) * scaleRatio;
+    return minRadius + (maxRadius - minRadius) * scaleRatio;
+  }
+
+  function drawWaypoints(theme) {
+    const radius = waypointRadius();
+
+    const highlightTarget = !examState && Boolean(QUIZ_MODES[quizMode]?.blinkTarget);
 
     visibleWaypoints.forEach((wp) => {
       if (!Number.isFinite(wp.x) || !Number.isFinite(wp.y)) return;
-      const isTarget = currentTarget?.id === wp.id;
-      if (revealState.active && isTarget && !revealState.visible) return;
+      const isTarget = !examState && currentTarget?.id === wp.id;
       const { x, y } = worldToScreen(wp);
 
+      if (highlightTarget && isTarget) {
+        ctx.beginPath();
+        ctx.arc(x, y, radius + 6, 0, Math.PI * 2);
+        ctx.strokeStyle = theme.target;
+        ctx.lineWidth = 2;
+        ctx.stroke();
+      }
+
+      if (revealState.active && isTarget && !revealState.visible) return;
+
       const feedback = waypointFeedback.get(wp.id);
       if (feedback && feedback.expiresAt <= Date.now()) {
         waypointFeedback.delete(wp.id);
       }
 
-      const fillColor = waypointFeedback.get(wp.id)?.color || '#333';
-      ctx.beginPath();
-      ctx.arc(x, y, radius, 0, Math.PI * 2);
+      const fillColor = waypointFeedback.get(wp.id)?.color || theme.waypoint;
+      traceFixSymbol(x, y, radius, theme.symbol);
       ctx.fillStyle = fillColor;
       ctx.fill();
     });
   }
 
+  function drawVectorQuestion(theme) {
+    const { from, to, trueBearing, distanceNm, result } = vectorQuestion;
+    const radius = waypointRadius();
+    const start = worldToScreen(from);
+    const end = worldToScreen(to);
+
+    ctx.strokeStyle = theme.target;
+    ctx.fillStyle = theme.target;
+    ctx.lineWidth = 2;
+    ctx.font = '600 12px system-ui, sans-serif';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'bottom';
+    [
+      [start, from],
+      [end, to],
+    ].forEach(([point, wp]) => {
+      ctx.beginPath();
+      ctx.arc(point.x, point.y, radius + 6, 0, Math.PI * 2);
+      ctx.stroke();
+      ctx.fillText(wp.name, point.x + radius + 8, point.y - radius - 4);
+    });
+
+    if (!result) return;
+
+    if (!result.correct) {
+      const guess = worldToScreen(projection.project(result.guess.lon, result.guess.lat));
+      ctx.strokeStyle = '#ef4444';
+      ctx.setLineDash([6, 5]);
+      ctx.beginPath();
+      ctx.moveTo(start.x, start.y);
+      ctx.lineTo(guess.x, guess.y);
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+
+    ctx.strokeStyle = theme.target;
+    ctx.beginPath();
+    ctx.moveTo(start.x, start.y);
+    ctx.lineTo(end.x, end.y);
+    ctx.stroke();
+
+    ctx.textAlign = 'center';
+    ctx.fillText(
+      `${formatBearing(toReferenceBearing(trueBearing))}° ${distanceNm.toFixed(1)} NM`,
+      (start.x + end.x) / 2,
+      (start.y + end.y) / 2 - 6
+    );
+  }
+
+  function drawMissLine() {
+    const { from, target, distanceNm, missGrade } = missLine;
+    if (!Number.isFinite(target.x) || !Number.isFinite(target.y)) return;
+    const start = worldToScreen(projection.project(from.lon, from.lat));
+    const end = worldToScreen(target);
+    const label = QUIZ_CONFIG.missGrades.find(({ grade }) => grade === missGrade)?.label;
+
+    ctx.strokeStyle = '#ef4444';
+    ctx.fillStyle = '#ef4444';
+    ctx.lineWidth = 2;
+    ctx.setLineDash([6, 5]);
+    ctx.beginPath();
+    ctx.moveTo(start.x, start.y);
+    ctx.lineTo(end.x, end.y);
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    ctx.beginPath();
+    ctx.arc(start.x, start.y, 3, 0, Math.PI * 2);
+    ctx.fill();
+
+    ctx.font = '600 12px system-ui, sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'bottom';
+    ctx.fillText(
+      `${distanceNm.toFixed(1)} NM${label ? ` (${label})` : ''}`,
+      (start.x + end.x) / 2,
+      (start.y + end.y) / 2 - 6
+    );
+  }
+
   function traceGeometry(geometry, strokeShape) {
     if (!geometry || !projection) return;
 
@@ -1133,115 +4656,929 @@
     }
   }
 
-  async function init() {
-    resizeCanvas();
-    initializationError = null;
+  async function init() {
+    resizeCanvas();
+    initializationError = null;
+
+    try {
+      const [firResult, waypointResult] = await Promise.allSettled([
+        trackLoad(loadFIRMap()),
+        loadWaypoints(),
+      ]);
+      if (waypointResult.status === 'rejected') throw waypointResult.reason;
+      const loadedWaypoints = waypointResult.value;
+
+      const firData = firResult.status === 'fulfilled' ? firResult.value : null;
+      if (!firData) {
+        console.warn('Continuing without the FIR map', firResult.reason);
+        showNotice('FIR boundaries could not be loaded; the map is shown without them.');
+      }
+
+      firGeoJSON = firData;
+      waypoints = assignWaypointIds(assignWaypointFIRs(loadedWaypoints, firData));
+      const idMigrationReport = migrateLegacyWaypointIds(waypoints);
+      const storageBackend = await openStorageBackend();
+      statsStore = await openStatsStore(storageBackend);
+      answerJournal = await openAnswerJournal(storageBackend);
+      confusionCounts = restoreConfusions();
+      const dataChanges = await applyWaypointDataChanges(storageBackend, waypoints).catch(
+        (error) => {
+          console.warn('Failed to compare waypoint data with the last visit', error);
+          return null;
+        }
+      );
+      waypoints.push(...restoreCustomWaypointSets());
+      mergeStoredStats(waypoints);
+      const now = Date.now();
+      dataChanges?.moved.forEach(({ wp }) => demoteMovedWaypoint(wp, now));
+      Object.keys(STATS_TRACKS).forEach((track) =>
+        activeScheduler().refresh(waypoints, now, track)
+      );
+      touchSessionTimestamp();
+
+      firOptions = uniqueFIRs(waypoints);
+      enabledFIRs = restoreEnabledFIRs([
+        ...firOptions,
+        ...failedWaypointSources.map(({ entry }) => entry.code),
+      ]);
+      renderFIRControls();
+      reportFailedWaypointSources();
+
+      updateProjection();
+      updateVisibleWaypoints();
+      updateStatusCounters();
+      updateCurrentTarget();
+      goHome();
+      requestRender();
+      reportWaypointDataChanges(dataChanges);
+      reportIdMigration(idMigrationReport);
+    } catch (error) {
+      console.error('Failed to initialize map', error);
+      setInitializationError(error?.message || WAYPOINT_INDEX_ERROR);
+    }
+  }
+
+  function worldToScreen({ x, y }) {
+    return {
+      x: x * viewport.scale + viewport.offsetX,
+      y: y * viewport.scale + viewport.offsetY,
+    };
+  }
+
+  function screenToWorld(x, y) {
+    return {
+      x: (x - viewport.offsetX) / viewport.scale,
+      y: (y - viewport.offsetY) / viewport.scale,
+    };
+  }
+
+  function findTappedWaypoint(worldPoint, toleranceWorld, candidates = visibleWaypoints) {
+    let nearest = null;
+    let nearestDistance = Infinity;
+
+    candidates.forEach((wp) => {
+      if (!Number.isFinite(wp.x) || !Number.isFinite(wp.y)) return;
+      const dist = Math.hypot(worldPoint.x - wp.x, worldPoint.y - wp.y);
+      if (dist <= toleranceWorld && dist < nearestDistance) {
+        nearest = wp;
+        nearestDistance = dist;
+      }
+    });
+
+    return nearest;
+  }
+
+  function handleCanvasTap(screenX, screenY) {
+    if (examState && projection) {
+      handleExamTap(screenX, screenY);
+      return;
+    }
+
+    if (!projection || !currentTarget || quizMode !== 'tap') return;
+
+    const tapWorld = screenToWorld(screenX, screenY);
+    const toleranceWorld = (QUIZ_CONFIG.tolerancePx || 18) / viewport.scale;
+    const tappedWaypoint = findTappedWaypoint(tapWorld, toleranceWorld);
+
+    const dist = Math.hypot(tapWorld.x - currentTarget.x, tapWorld.y - currentTarget.y);
+    const isCorrect = dist <= toleranceWorld;
+    const tapLocation = projection.unproject(tapWorld.x, tapWorld.y);
+    const offsetNm = greatCircleDistanceNm(
+      tapLocation.lon,
+      tapLocation.lat,
+      currentTarget.lon,
+      currentTarget.lat
+    );
+    const missGrade = isCorrect ? null : gradeMiss(offsetNm);
+
+    if (!isCorrect) {
+      missLine = { from: tapLocation, target: currentTarget, distanceNm: offsetNm, missGrade };
+      announce(`Tapped ${offsetNm.toFixed(1)} NM from ${currentTarget.name}`);
+      requestRender();
+    }
+
+    // Misses while the target is revealed are not graded.
+    if (revealState.active && !isCorrect) {
+      return;
+    }
+
+    recordAnswer({
+      target: currentTarget,
+      answered: tappedWaypoint,
+      correct: isCorrect,
+      offsetNm,
+      missGrade,
+    });
+
+    if (isCorrect) {
+      const wrongsBeforeCorrect = currentWrongCount;
+      flashTopBar('correct');
+      flashWaypointFeedback(currentTarget.id, 'correct');
+      applyCorrect(currentTarget, wrongsBeforeCorrect, currentResponseMs());
+      advanceToNextTarget();
+      return;
+    }
+
+    currentWrongCount += 1;
+    flashTopBar('wrong');
+    if (tappedWaypoint?.id) {
+      flashWaypointFeedback(tappedWaypoint.id, 'wrong');
+      recordConfusion(currentTarget.id, tappedWaypoint.id);
+    }
+    applyWrong(currentTarget, currentTrack(), missGrade);
+    refreshQueuedNextTarget();
+    if (currentWrongCount >= QUIZ_CONFIG.revealAfterWrongs) {
+      startRevealMode();
+    }
+    requestRender();
+  }
+
+  function normalizeWaypointName(value) {
+    return `${value ?? ''}`.trim().toUpperCase();
+  }
+
+  function editDistance(a, b) {
+    const previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+    for (let i = 1; i <= a.length; i += 1) {
+      let diagonal = previous[0];
+      previous[0] = i;
+      for (let j = 1; j <= b.length; j += 1) {
+        const above = previous[j];
+        previous[j] = Math.min(
+          previous[j] + 1,
+          previous[j - 1] + 1,
+          diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+        diagonal = above;
+      }
+    }
+
+    return previous[b.length];
+  }
+
+  function handleTypedAnswer(rawAnswer) {
+    if (!currentTarget || quizMode !== 'type') return;
+
+    const answer = normalizeWaypointName(rawAnswer);
+    if (!answer) return;
+
+    const targetName = normalizeWaypointName(currentTarget.name);
+    const revealed = currentWrongCount >= QUIZ_CONFIG.revealAfterWrongs;
+    const namesake = visibleWaypoints.find(
+      (wp) => wp.id !== currentTarget.id && normalizeWaypointName(wp.name) === answer
+    );
+
+    recordAnswer({
+      target: currentTarget,
+      answered: answer === targetName ? currentTarget : namesake,
+      correct: answer === targetName,
+      typed: answer,
+    });
+
+    if (answer === targetName) {
+      flashTopBar('correct');
+      flashWaypointFeedback(currentTarget.id, 'correct');
+      applyCorrect(currentTarget, currentWrongCount, currentResponseMs());
+      advanceToNextTarget();
+      return;
+    }
+
+    if (answerInput) answerInput.value = '';
+
+    if (revealed) {
+      showAnswerFeedback(answer, targetName, { revealed: true });
+      return;
+    }
+
+    currentWrongCount += 1;
+    flashTopBar('wrong');
+
+    if (namesake) {
+      flashWaypointFeedback(namesake.id, 'wrong');
+      recordConfusion(currentTarget.id, namesake.id);
+    }
+
+    applyWrong(currentTarget);
+    refreshQueuedNextTarget();
+    showAnswerFeedback(answer, targetName, {
+      namesake,
+      revealed: currentWrongCount >= QUIZ_CONFIG.revealAfterWrongs,
+    });
+  }
+
+  function showAnswerFeedback(answer, targetName, { namesake = null, revealed = false } = {}) {
+    if (!answerFeedback) return;
+    answerFeedback.innerHTML = '';
+
+    const attempt = document.createElement('span');
+    attempt.className = 'answer-attempt';
+    [...answer].forEach((char, index) => {
+      const letter = document.createElement('span');
+      letter.className =
+        char === targetName[index] ? 'answer-letter answer-letter--ok' : 'answer-letter';
+      letter.textContent = char;
+      attempt.appendChild(letter);
+    });
+
+    const distance = editDistance(answer, targetName);
+    const message = document.createElement('span');
+    message.className = 'answer-message';
+
+    if (revealed) {
+      message.textContent = ` - answer: ${targetName}`;
+    } else if (namesake) {
+      message.textContent = ` is another waypoint (${namesake.fir})`;
+    } else if (distance === 1) {
+      message.textContent = ' - one letter off';
+    } else if (distance <= QUIZ_CONFIG.nearMissMaxDistance) {
+      message.textContent = ` - close, ${distance} letters off`;
+    } else {
+      message.textContent = ' - not quite';
+    }
+
+    answerFeedback.append(attempt, message);
+  }
+
+  function soundKey(name) {
+    return normalizeWaypointName(name)
+      .replace(/PH/g, 'F')
+      .replace(/CK|C|Q/g, 'K')
+      .replace(/W/g, 'V')
+      .replace(/Z/g, 'S')
+      .replace(/Y/g, 'I')
+      .replace(/(.)\1+/g, '$1');
+  }
+
+  function nameSimilarity(nameA, nameB) {
+    const spelling = editDistance(normalizeWaypointName(nameA), normalizeWaypointName(nameB));
+    const sound = editDistance(soundKey(nameA), soundKey(nameB));
+    return Math.min(spelling, sound + 0.5);
+  }
+
+  function shuffle(list) {
+    const copy = [...list];
+    for (let i = copy.length - 1; i > 0; i -= 1) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [copy[i], copy[j]] = [copy[j], copy[i]];
+    }
+    return copy;
+  }
+
+  function pickDistractors(target, count) {
+    const targetName = normalizeWaypointName(target.name);
+    const candidatesByName = new Map();
+    visibleWaypoints.forEach((wp) => {
+      const name = normalizeWaypointName(wp.name);
+      if (wp.id !== target.id && name !== targetName && !candidatesByName.has(name)) {
+        candidatesByName.set(name, wp);
+      }
+    });
+    const candidates = [...candidatesByName.values()];
+    const byId = new Map(candidates.map((wp) => [wp.id, wp]));
+
+    const confused = confusedPartnerIds(target.id)
+      .map((id) => byId.get(id))
+      .filter(Boolean);
+
+    const similar = candidates
+      .map((wp) => ({ wp, score: nameSimilarity(target.name, wp.name) }))
+      .filter(({ score }) => score <= CHOICE_CONFIG.similarMaxDistance)
+      .sort((a, b) => a.score - b.score)
+      .map(({ wp }) => wp);
+
+    const nearby = candidates
+      .filter((wp) => Number.isFinite(wp.x) && Number.isFinite(wp.y))
+      .map((wp) => ({ wp, dist: Math.hypot(wp.x - target.x, wp.y - target.y) }))
+      .sort((a, b) => a.dist - b.dist)
+      .slice(0, CHOICE_CONFIG.nearbyPoolSize)
+      .map(({ wp }) => wp);
+
+    const sources = [confused, similar, nearby].map((list) =>
+      shuffle(list.slice(0, CHOICE_CONFIG.sourcePoolSize))
+    );
+    const picked = new Map();
+
+    while (picked.size < count && sources.some((list) => list.length)) {
+      sources.forEach((list) => {
+        while (list.length && picked.size < count) {
+          const wp = list.shift();
+          if (!picked.has(wp.id)) {
+            picked.set(wp.id, wp);
+            break;
+          }
+        }
+      });
+    }
+
+    shuffle(candidates).forEach((wp) => {
+      if (picked.size < count && !picked.has(wp.id)) picked.set(wp.id, wp);
+    });
+
+    return [...picked.values()];
+  }
+
+  function renderChoiceButtons(target) {
+    if (!choiceButtons) return;
+    choiceButtons.innerHTML = '';
+    choiceButtons.hidden = !target;
+    if (!target) return;
+
+    const options = shuffle([
+      target,
+      ...pickDistractors(target, CHOICE_CONFIG.optionCount - 1),
+    ]);
+
+    options.forEach((wp) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'choice-button';
+      button.textContent = wp.name;
+      button.dataset.waypointId = wp.id;
+      button.addEventListener('click', () => handleChoiceAnswer(wp, button));
+      choiceButtons.appendChild(button);
+    });
+  }
+
+  function handleChoiceAnswer(chosen, button) {
+    if (!currentTarget || quizMode !== 'choice') return;
+
+    const isCorrect =
+      normalizeWaypointName(chosen.name) === normalizeWaypointName(currentTarget.name);
+    recordAnswer({ target: currentTarget, answered: chosen, correct: isCorrect });
+
+    if (isCorrect) {
+      flashTopBar('correct');
+      flashWaypointFeedback(currentTarget.id, 'correct');
+      applyCorrect(currentTarget, currentWrongCount, currentResponseMs());
+      advanceToNextTarget();
+      return;
+    }
+
+    button.disabled = true;
+    button.classList.add('choice-button--wrong');
+
+    if (currentWrongCount >= QUIZ_CONFIG.revealAfterWrongs) return;
+
+    currentWrongCount += 1;
+    flashTopBar('wrong');
+    flashWaypointFeedback(chosen.id, 'wrong');
+    recordConfusion(currentTarget.id, chosen.id);
+    applyWrong(currentTarget);
+    refreshQueuedNextTarget();
+
+    if (currentWrongCount >= QUIZ_CONFIG.revealAfterWrongs) {
+      choiceButtons?.querySelectorAll('.choice-button').forEach((option) => {
+        if (option.dataset.waypointId === currentTarget.id) {
+          option.classList.add('choice-button--answer');
+        }
+      });
+    }
+  }
+
+  function clearAnswerFeedback() {
+    if (answerFeedback) answerFeedback.innerHTML = '';
+  }
+
+  function readVectorSettings() {
+    const fallback = { reference: 'magnetic', variationDeg: VECTOR_CONFIG.defaultVariationDeg };
+    try {
+      const stored = JSON.parse(localStorage.getItem(VECTOR_SETTINGS_STORAGE_KEY) || 'null');
+      return {
+        reference: stored?.reference === 'true' ? 'true' : fallback.reference,
+        variationDeg: Number.isFinite(stored?.variationDeg)
+          ? stored.variationDeg
+          : fallback.variationDeg,
+      };
+    } catch (error) {
+      console.warn('Failed to restore bearing question settings', error);
+    }
+    return fallback;
+  }
+
+  function setupVectorControls() {
+    vectorSettings = readVectorSettings();
+    if (vectorReferenceSelect) vectorReferenceSelect.value = vectorSettings.reference;
+    if (vectorVariationInput) vectorVariationInput.value = vectorSettings.variationDeg;
+
+    const update = () => {
+      const variationDeg = Number(vectorVariationInput?.value);
+      vectorSettings = {
+        reference: vectorReferenceSelect?.value === 'true' ? 'true' : 'magnetic',
+        variationDeg: Number.isFinite(variationDeg)
+          ? clamp(variationDeg, -30, 30)
+          : VECTOR_CONFIG.defaultVariationDeg,
+      };
+      try {
+        localStorage.setItem(VECTOR_SETTINGS_STORAGE_KEY, JSON.stringify(vectorSettings));
+      } catch (error) {
+        console.warn('Failed to persist bearing question settings', error);
+      }
+      if (vectorQuestion && !vectorQuestion.result) {
+        updateTopBar();
+        syncVectorForm();
+      }
+    };
+    vectorReferenceSelect?.addEventListener('change', update);
+    vectorVariationInput?.addEventListener('change', update);
+
+    vectorForm?.addEventListener('submit', (event) => {
+      event.preventDefault();
+      handleVectorAnswer(vectorBearingInput?.value ?? '', vectorDistanceInput?.value ?? '');
+    });
+  }
+
+  function vectorReferenceLabel({ long = false } = {}) {
+    if (vectorSettings?.reference === 'true') return long ? 'True' : 'TRUE';
+    return long ? 'Magnetic' : 'MAG';
+  }
+
+  // Magnetic = true - variation, with easterly variation positive.
+  function toReferenceBearing(trueBearing) {
+    if (vectorSettings?.reference === 'true') return normalizeBearing(trueBearing);
+    return normalizeBearing(trueBearing - (vectorSettings?.variationDeg ?? 0));
+  }
+
+  function fromReferenceBearing(bearing) {
+    if (vectorSettings?.reference === 'true') return normalizeBearing(bearing);
+    return normalizeBearing(bearing + (vectorSettings?.variationDeg ?? 0));
+  }
+
+  function pickVectorDestination(from) {
+    const name = normalizeWaypointName(from.name);
+    const candidates = visibleWaypoints
+      .filter((wp) => wp.id !== from.id && normalizeWaypointName(wp.name) !== name)
+      .map((wp) => ({ wp, distanceNm: greatCircleDistanceNm(from.lon, from.lat, wp.lon, wp.lat) }))
+      .filter(({ distanceNm }) => distanceNm > 0);
+    const inRange = candidates.filter(
+      ({ distanceNm }) =>
+        distanceNm >= VECTOR_CONFIG.minDistanceNm && distanceNm <= VECTOR_CONFIG.maxDistanceNm
+    );
+    if (inRange.length) return randomItem(inRange).wp;
+    candidates.sort((a, b) => a.distanceNm - b.distanceNm);
+    return candidates[0]?.wp ?? null;
+  }
+
+  function prepareVectorQuestion() {
+    if (!currentTarget) {
+      vectorQuestion = null;
+      return;
+    }
+    const stale =
+      !vectorQuestion ||
+      vectorQuestion.from.id !== currentTarget.id ||
+      !visibleWaypoints.includes(vectorQuestion.to);
+    if (!stale) return;
+
+    const to = pickVectorDestination(currentTarget);
+    vectorQuestion = to
+      ? {
+          from: currentTarget,
+          to,
+          trueBearing: initialBearingDeg(currentTarget, to),
+          distanceNm: greatCircleDistanceNm(currentTarget.lon, currentTarget.lat, to.lon, to.lat),
+          result: null,
+        }
+      : null;
+    if (!vectorQuestion) return;
+
+    const pair = [vectorQuestion.from, to];
+    const offScreen = () =>
+      pair.some((wp) => {
+        const { x, y } = worldToScreen(wp);
+        return x < 40 || y < 40 || x > canvas.width - 40 || y > canvas.height - 40;
+      });
+    if (!offScreen()) return;
+
+    viewport.offsetX = canvas.width / 2 - ((pair[0].x + pair[1].x) / 2) * viewport.scale;
+    viewport.offsetY = canvas.height / 2 - ((pair[0].y + pair[1].y) / 2) * viewport.scale;
+    if (offScreen()) {
+      fitViewToBounds(
+        {
+          minX: Math.min(pair[0].x, pair[1].x),
+          maxX: Math.max(pair[0].x, pair[1].x),
+          minY: Math.min(pair[0].y, pair[1].y),
+          maxY: Math.max(pair[0].y, pair[1].y),
+        },
+        0.6
+      );
+    }
+    requestRender();
+  }
+
+  function syncVectorForm() {
+    const active = quizMode === 'vector' && Boolean(vectorQuestion) && !examState;
+    const answered = Boolean(vectorQuestion?.result);
+    [vectorBearingInput, vectorDistanceInput].forEach((input) => {
+      if (!input) return;
+      input.disabled = !active || answered;
+      if (!answered) input.value = '';
+    });
+    if (vectorSubmit) {
+      vectorSubmit.disabled = !active;
+      vectorSubmit.textContent = answered ? 'Next' : 'Check';
+    }
+    if (!active || !answerFeedback) return;
 
-    try {
-      const [firData, loadedWaypoints] = await Promise.all([
-        loadFIRMap(),
-        loadWaypoints(),
-      ]);
+    if (answered) {
+      showVectorFeedback();
+      return;
+    }
+    const { from, to } = vectorQuestion;
+    answerFeedback.textContent = `${vectorReferenceLabel({ long: true })} bearing and distance in NM from ${from.name} to ${to.name}`;
+  }
 
-      firGeoJSON = firData;
-      waypoints = loadedWaypoints;
-      mergeStoredStats(waypoints);
-      applyTimeDecayAndDowngrades(waypoints, Date.now());
-      touchSessionTimestamp();
+  function handleVectorAnswer(rawBearing, rawDistance) {
+    if (!currentTarget || quizMode !== 'vector' || !vectorQuestion) return;
+    if (vectorQuestion.result) {
+      advanceToNextTarget();
+      return;
+    }
 
-      firOptions = uniqueFIRs(waypoints);
-      enabledFIRs = restoreEnabledFIRs(firOptions);
-      renderFIRControls();
+    const bearing = Number(rawBearing);
+    const distanceNm = Number(rawDistance);
+    if (`${rawBearing}`.trim() === '' || `${rawDistance}`.trim() === '') return;
+    if (!Number.isFinite(bearing) || !Number.isFinite(distanceNm) || distanceNm < 0) return;
+
+    const { from, to, trueBearing } = vectorQuestion;
+    const bearingError = bearingDifferenceDeg(bearing, toReferenceBearing(trueBearing));
+    const distanceError = Math.abs(distanceNm - vectorQuestion.distanceNm);
+    const correct =
+      bearingError <= VECTOR_CONFIG.bearingToleranceDeg &&
+      distanceError <=
+        Math.max(
+          VECTOR_CONFIG.distanceToleranceNm,
+          VECTOR_CONFIG.distanceToleranceRatio * vectorQuestion.distanceNm
+        );
+    const guess = destinationPoint(from, fromReferenceBearing(bearing), distanceNm);
+    const responseMs = currentResponseMs();
+    const offsetNm = greatCircleDistanceNm(guess.lon, guess.lat, to.lon, to.lat);
+    const missGrade = correct ? null : gradeMiss(offsetNm);
+
+    recordAnswer({
+      target: from,
+      answered: to,
+      correct,
+      offsetNm,
+      missGrade,
+      typed: `${formatBearing(bearing)}/${Math.round(distanceNm)}`,
+    });
+    vectorQuestion.result = { correct, bearing, distanceNm, guess };
 
-      updateProjection();
-      updateVisibleWaypoints();
-      updateStatusCounters();
-      updateCurrentTarget();
-      fitViewToEPWW();
-      requestRender();
-    } catch (error) {
-      console.error('Failed to initialize map', error);
-      setInitializationError(error?.message || WAYPOINT_INDEX_ERROR);
+    if (correct) {
+      flashTopBar('correct');
+      flashWaypointFeedback(to.id, 'correct');
+      applyCorrect(from, 0, responseMs);
+    } else {
+      flashTopBar('wrong');
+      flashWaypointFeedback(to.id, 'wrong');
+      applyWrong(from, currentTrack(), missGrade);
     }
+
+    syncVectorForm();
+    vectorSubmit?.focus({ preventScroll: true });
+    requestRender();
   }
 
-  function worldToScreen({ x, y }) {
+  function showVectorFeedback() {
+    const { to, trueBearing, distanceNm, result } = vectorQuestion;
+    answerFeedback.innerHTML = '';
+
+    const verdict = document.createElement('span');
+    verdict.className = result.correct ? 'answer-letter answer-letter--ok' : 'answer-letter';
+    verdict.textContent = result.correct ? 'Correct' : 'Outside tolerance';
+
+    const message = document.createElement('span');
+    message.className = 'answer-message';
+    message.textContent =
+      ` - ${to.name} is ${formatBearing(toReferenceBearing(trueBearing))}° ` +
+      `${distanceNm.toFixed(1)} NM, you said ${formatBearing(result.bearing)}° ` +
+      `${result.distanceNm} NM`;
+
+    answerFeedback.append(verdict, message);
+  }
+
+  function readExamSettings() {
+    const readNumber = (input, fallback) => {
+      const value = Number(input?.value);
+      return Number.isFinite(value) && value >= 0 ? value : fallback;
+    };
+
     return {
-      x: x * viewport.scale + viewport.offsetX,
-      y: y * viewport.scale + viewport.offsetY,
+      questionCount: Math.round(
+        clamp(
+          readNumber(examQuestionCountInput, EXAM_CONFIG.defaultQuestionCount),
+          1,
+          EXAM_CONFIG.maxQuestionCount
+        )
+      ),
+      perQuestionSeconds: readNumber(examQuestionSecondsInput, 0),
+      totalMinutes: readNumber(examTotalMinutesInput, 0),
     };
   }
 
-  function screenToWorld(x, y) {
-    return {
-      x: (x - viewport.offsetX) / viewport.scale,
-      y: (y - viewport.offsetY) / viewport.scale,
+  function setupExamControls() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(EXAM_SETTINGS_STORAGE_KEY) || 'null');
+      if (stored) {
+        if (examQuestionCountInput) examQuestionCountInput.value = stored.questionCount;
+        if (examQuestionSecondsInput) examQuestionSecondsInput.value = stored.perQuestionSeconds;
+        if (examTotalMinutesInput) examTotalMinutesInput.value = stored.totalMinutes;
+      }
+    } catch (error) {
+      console.warn('Failed to restore exam settings', error);
+    }
+
+    startExamButton?.addEventListener('click', startExam);
+    endExamButton?.addEventListener('click', () => finishExam());
+  }
+
+  function currentExamQuestion() {
+    return examState ? examState.questions[examState.index] ?? null : null;
+  }
+
+  // Exams never reach applyCorrect, applyWrong or the answer journal.
+  function startExam() {
+    if (examState || !visibleWaypoints.length) return;
+
+    const settings = readExamSettings();
+    try {
+      localStorage.setItem(EXAM_SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+    } catch (error) {
+      console.warn('Failed to persist exam settings', error);
+    }
+
+    const now = Date.now();
+    const targets = shuffle(visibleWaypoints).slice(0, settings.questionCount);
+    examState = {
+      startedAt: now,
+      settings: { ...settings, questionCount: targets.length },
+      firs: [...enabledFIRs].sort(),
+      questions: targets.map((target) => ({ target, outcome: null })),
+      index: 0,
+      questionStartedAt: now,
+      deadlineAt: settings.totalMinutes ? now + settings.totalMinutes * 60000 : null,
+      timerId: setInterval(tickExam, EXAM_CONFIG.tickMs),
     };
+
+    stopRevealMode();
+    setFIRPanelOpen(false);
+    if (quizModeSelect) quizModeSelect.disabled = true;
+    if (answerPanel) answerPanel.hidden = true;
+    if (examBar) examBar.hidden = false;
+    updateExamBar();
+    updateTopBar();
+    requestRender();
   }
 
-  function findTappedWaypoint(worldPoint, toleranceWorld) {
-    let nearest = null;
-    let nearestDistance = Infinity;
+  function tickExam() {
+    if (!examState) return;
+    const now = Date.now();
 
-    visibleWaypoints.forEach((wp) => {
-      if (!Number.isFinite(wp.x) || !Number.isFinite(wp.y)) return;
-      const dist = Math.hypot(worldPoint.x - wp.x, worldPoint.y - wp.y);
-      if (dist <= toleranceWorld && dist < nearestDistance) {
-        nearest = wp;
-        nearestDistance = dist;
-      }
-    });
+    if (examState.deadlineAt && now >= examState.deadlineAt) {
+      finishExam(now);
+      return;
+    }
 
-    return nearest;
+    const limitMs = examState.settings.perQuestionSeconds * 1000;
+    if (limitMs && now - examState.questionStartedAt >= limitMs) {
+      answerExamQuestion({ outcome: 'timeout' }, now);
+      return;
+    }
+
+    updateExamBar(now);
   }
 
-  function handleCanvasTap(screenX, screenY) {
-    if (!projection || !currentTarget) return;
+  function handleExamTap(screenX, screenY) {
+    const question = currentExamQuestion();
+    if (!question) return;
 
     const tapWorld = screenToWorld(screenX, screenY);
     const toleranceWorld = (QUIZ_CONFIG.tolerancePx || 18) / viewport.scale;
-    const tappedWaypoint = findTappedWaypoint(tapWorld, toleranceWorld);
+    // Exam targets stay answerable if their FIR is switched off mid-exam.
+    const tappedWaypoint = findTappedWaypoint(tapWorld, toleranceWorld, [
+      ...visibleWaypoints,
+      ...examState.questions.map(({ target }) => target),
+    ]);
+    if (!tappedWaypoint) return;
+
+    const { target } = question;
+    const correct =
+      Math.hypot(tapWorld.x - target.x, tapWorld.y - target.y) <= toleranceWorld;
+    const tapLocation = projection.unproject(tapWorld.x, tapWorld.y);
+
+    answerExamQuestion({
+      outcome: correct ? 'correct' : 'wrong',
+      tapped: tappedWaypoint,
+      offsetNm: greatCircleDistanceNm(tapLocation.lon, tapLocation.lat, target.lon, target.lat),
+    });
+  }
 
-    if (!tappedWaypoint) {
-      return;
-    }
+  function answerExamQuestion({ outcome, tapped = null, offsetNm = null }, now = Date.now()) {
+    const question = currentExamQuestion();
+    if (!question) return;
 
-    const dist = Math.hypot(tapWorld.x - currentTarget.x, tapWorld.y - currentTarget.y);
-    const isCorrect = dist <= toleranceWorld;
+    Object.assign(question, {
+      outcome,
+      tapped,
+      offsetNm: Number.isFinite(offsetNm) ? Number(offsetNm.toFixed(2)) : null,
+      responseMs: now - examState.questionStartedAt,
+    });
 
-    if (revealState.active && !isCorrect) {
+    examState.index += 1;
+    examState.questionStartedAt = now;
+
+    if (examState.index >= examState.questions.length) {
+      finishExam(now);
       return;
     }
 
-    if (isCorrect) {
-      const wrongsBeforeCorrect = currentWrongCount;
-      flashTopBar('correct');
-      flashWaypointFeedback(currentTarget.id, 'correct');
-      applyCorrect(currentTarget, wrongsBeforeCorrect);
-      currentWrongCount = 0;
-      stopRevealMode();
-      refreshQueuedNextTarget();
-      currentTarget = takeQueuedNextTarget();
-      markWaypointSeen(currentTarget);
-      updateTopBar();
-      requestRender();
-      return;
+    updateExamBar(now);
+    updateTopBar();
+  }
+
+  function finishExam(now = Date.now()) {
+    if (!examState) return;
+    clearInterval(examState.timerId);
+
+    examState.questions.forEach((question) => {
+      if (!question.outcome) question.outcome = 'unanswered';
+    });
+
+    const result = buildExamResult(examState, now);
+    examState = null;
+    storeExamResult(result);
+
+    if (quizModeSelect) quizModeSelect.disabled = false;
+    if (examBar) examBar.hidden = true;
+    syncAnswerPanel();
+    updateCurrentTarget();
+    renderExamReport(result);
+    setExamReportOpen(true);
+  }
+
+  function buildExamResult(state, now) {
+    const questions = state.questions.map(
+      ({ target, outcome, tapped = null, offsetNm = null, responseMs = null }, index) => ({
+        number: index + 1,
+        targetId: target.id,
+        name: target.name,
+        fir: target.fir,
+        outcome,
+        tappedId: tapped?.id ?? null,
+        tappedName: tapped?.name ?? null,
+        offsetNm,
+        responseMs,
+      })
+    );
+
+    return {
+      startedAt: new Date(state.startedAt).toISOString(),
+      finishedAt: new Date(now).toISOString(),
+      durationMs: now - state.startedAt,
+      firs: state.firs,
+      settings: state.settings,
+      score: {
+        correct: questions.filter(({ outcome }) => outcome === 'correct').length,
+        total: questions.length,
+      },
+      questions,
+    };
+  }
+
+  function storeExamResult(result) {
+    try {
+      const stored = JSON.parse(localStorage.getItem(EXAM_RESULTS_STORAGE_KEY) || '[]');
+      const history = Array.isArray(stored) ? stored : [];
+      history.push(result);
+      localStorage.setItem(
+        EXAM_RESULTS_STORAGE_KEY,
+        JSON.stringify(history.slice(-EXAM_CONFIG.historyLimit))
+      );
+    } catch (error) {
+      console.warn('Failed to store exam result', error);
     }
+  }
 
-    currentWrongCount += 1;
-    flashTopBar('wrong');
-    if (tappedWaypoint?.id) {
-      flashWaypointFeedback(tappedWaypoint.id, 'wrong');
+  function formatDuration(ms) {
+    const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${`${seconds}`.padStart(2, '0')}`;
+  }
+
+  function updateExamBar(now = Date.now()) {
+    if (!examBarText || !examState) return;
+    const parts = [`Question ${examState.index + 1} of ${examState.questions.length}`];
+    const limitMs = examState.settings.perQuestionSeconds * 1000;
+    if (limitMs) {
+      parts.push(`${formatDuration(limitMs - (now - examState.questionStartedAt))} left`);
     }
-    applyWrong(currentTarget);
-    refreshQueuedNextTarget();
-    if (currentWrongCount >= 3) {
-      startRevealMode();
+    if (examState.deadlineAt) {
+      parts.push(`${formatDuration(examState.deadlineAt - now)} total`);
     }
-    requestRender();
+    examBarText.textContent = parts.join(' · ');
+  }
+
+  function describeExamOutcome(question) {
+    switch (question.outcome) {
+      case 'wrong':
+        return `tapped ${question.tappedName}, ${question.offsetNm} NM off`;
+      case 'timeout':
+        return 'ran out of time';
+      case 'unanswered':
+        return 'not answered';
+      default:
+        return 'correct';
+    }
+  }
+
+  function examResultToCSV(result) {
+    const escape = (value) => {
+      const text = value === null || value === undefined ? '' : `${value}`;
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const header = ['number', 'waypoint', 'fir', 'outcome', 'tapped', 'offset_nm', 'response_s'];
+    const rows = result.questions.map((question) => [
+      question.number,
+      question.name,
+      question.fir,
+      question.outcome,
+      question.tappedName,
+      question.offsetNm,
+      Number.isFinite(question.responseMs) ? (question.responseMs / 1000).toFixed(1) : null,
+    ]);
+    return [header, ...rows].map((row) => row.map(escape).join(',')).join('\n');
+  }
+
+  function renderExamReport(result) {
+    if (!examReportContent) return;
+    examReportContent.innerHTML = '';
+
+    const { correct, total } = result.score;
+    const percent = total ? Math.round((correct / total) * 100) : 0;
+
+    const heading = document.createElement('div');
+    heading.className = 'dashboard-fir-heading';
+    heading.textContent = `Exam score: ${correct} / ${total} (${percent}%)`;
+
+    const details = document.createElement('div');
+    details.className = 'dashboard-due';
+    details.textContent = `${result.firs.join(', ')} · ${formatDuration(result.durationMs)}`;
+
+    const misses = result.questions.filter(({ outcome }) => outcome !== 'correct');
+    const missLabel = document.createElement('div');
+    missLabel.className = 'dashboard-label';
+    missLabel.textContent = misses.length ? 'Missed waypoints' : 'No misses';
+
+    const missList = document.createElement('ol');
+    missList.className = 'dashboard-weakest';
+    misses.forEach((question) => {
+      const item = document.createElement('li');
+      item.textContent = `${question.name} (${question.fir}): ${describeExamOutcome(question)}`;
+      missList.appendChild(item);
+    });
+
+    const actions = document.createElement('div');
+    actions.className = 'drawer-actions';
+    const stamp = result.startedAt.slice(0, 16).replace(/[:T]/g, '-');
+    [
+      ['Export JSON', () =>
+        downloadFile(`exam-${stamp}.json`, JSON.stringify(result, null, 2), 'application/json')],
+      ['Export CSV', () => downloadFile(`exam-${stamp}.csv`, examResultToCSV(result), 'text/csv')],
+      ['Close', () => setExamReportOpen(false)],
+    ].forEach(([label, onClick]) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = label;
+      button.addEventListener('click', onClick);
+      actions.appendChild(button);
+    });
+
+    examReportContent.append(heading, details, missLabel, missList, actions);
   }
 
-  function computeRegionBounds(firName, firCode) {
+  function computeRegionBounds(firCodes) {
     if (!projection) return null;
 
     const bounds = {
@@ -1259,8 +5596,7 @@
       bounds.maxY = Math.max(bounds.maxY, y);
     };
 
-    const firFeatures = filterFIRFeatures(firGeoJSON, firName)?.features ?? [];
-    firFeatures.forEach((feature) => {
+    [...firCodes].flatMap(firBoundaryFeatures).forEach((feature) => {
       forEachCoordinate(feature.geometry, (lon, lat) => {
         const { x, y } = projection.project(lon, lat);
         addPoint(x, y);
@@ -1268,7 +5604,7 @@
     });
 
     waypoints
-      .filter((wp) => wp.fir === firCode)
+      .filter((wp) => waypointInFIRs(wp, firCodes))
       .forEach((wp) => addPoint(wp.x, wp.y));
 
     return Number.isFinite(bounds.minX) ? bounds : null;
@@ -1282,9 +5618,92 @@
     }
   }
 
-  function fitViewToEPWW() {
-    if (!epwwBounds || !canvas.width || !canvas.height) return;
-    fitViewToBounds(epwwBounds, 1.2);
+  function fitViewToRegion() {
+    if (!regionBounds || !canvas.width || !canvas.height) return;
+    fitViewToBounds(regionBounds, 1.2);
+  }
+
+  function restoreHomeView() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(HOME_VIEW_STORAGE_KEY) || 'null');
+      if (
+        Number.isFinite(stored?.lon) &&
+        Number.isFinite(stored?.lat) &&
+        Number.isFinite(stored?.scale)
+      ) {
+        return stored;
+      }
+    } catch (error) {
+      console.warn('Failed to restore home view', error);
+    }
+    return null;
+  }
+
+  function setHomeView(view) {
+    homeView = view;
+    try {
+      if (view) {
+        localStorage.setItem(HOME_VIEW_STORAGE_KEY, JSON.stringify(view));
+      } else {
+        localStorage.removeItem(HOME_VIEW_STORAGE_KEY);
+      }
+    } catch (error) {
+      console.warn('Failed to persist home view', error);
+    }
+    if (clearHomeButton) clearHomeButton.disabled = !view;
+  }
+
+  function saveCurrentViewAsHome() {
+    if (!projection) return;
+    const center = projection.unproject(
+      (canvas.width / 2 - viewport.offsetX) / viewport.scale,
+      (canvas.height / 2 - viewport.offsetY) / viewport.scale
+    );
+    setHomeView({ lon: center.lon, lat: center.lat, scale: viewport.scale });
+    showNotice('Home view saved.');
+  }
+
+  function goHome() {
+    if (!homeView || !projection || !canvas.width || !canvas.height) {
+      fitViewToRegion();
+      return;
+    }
+
+    const { x, y } = projection.project(homeView.lon, homeView.lat);
+    viewport.scale = clampScale(homeView.scale);
+    viewport.offsetX = canvas.width / 2 - x * viewport.scale;
+    viewport.offsetY = canvas.height / 2 - y * viewport.scale;
+    requestRender();
+  }
+
+  function setupHomeControls() {
+    homeView = restoreHomeView();
+    if (clearHomeButton) clearHomeButton.disabled = !homeView;
+
+    homeFab?.addEventListener('click', (event) => {
+      event.stopPropagation();
+      goHome();
+    });
+    setHomeButton?.addEventListener('click', saveCurrentViewAsHome);
+    clearHomeButton?.addEventListener('click', () => {
+      setHomeView(null);
+      fitViewToRegion();
+    });
+  }
+
+  function ensureWaypointInView(waypoint, marginPx = 40) {
+    if (!Number.isFinite(waypoint?.x) || !Number.isFinite(waypoint?.y)) return;
+    const { x, y } = worldToScreen(waypoint);
+    const inside =
+      x >= marginPx &&
+      y >= marginPx &&
+      x <= canvas.width - marginPx &&
+      y <= canvas.height - marginPx;
+    if (inside) return;
+
+    viewport.offsetX = canvas.width / 2 - waypoint.x * viewport.scale;
+    viewport.offsetY = canvas.height / 2 - waypoint.y * viewport.scale;
+    requestRender();
   }
 
   function fitViewToBounds(bounds, targetFill = 0.85) {
@@ -1557,15 +5976,281 @@
     );
   }
 
+  function registerServiceWorker() {
+    const container = navigator.serviceWorker;
+    if (!container) return;
+
+    let updateAccepted = false;
+    const promptForUpdate = (accept) =>
+      showNotice('An update is available.', [], {
+        label: 'Reload',
+        run: async () => {
+          updateAccepted = true;
+          await Promise.all([statsStore?.flush(), answerJournal?.flush()]);
+          accept();
+        },
+      });
+
+    container.addEventListener('controllerchange', () => {
+      if (updateAccepted) window.location.reload();
+    });
+    container.addEventListener('message', ({ data }) => {
+      if (data?.type === 'update-ready') {
+        promptForUpdate(() => container.controller?.postMessage({ type: 'apply-update' }));
+      } else if (data?.type === 'update-applied' && updateAccepted) {
+        window.location.reload();
+      }
+    });
+
+    container
+      .register(SERVICE_WORKER_URL)
+      .then((registration) => {
+        const offerWaiting = (worker) => {
+          if (worker && container.controller) {
+            promptForUpdate(() => worker.postMessage({ type: 'skip-waiting' }));
+          }
+        };
+        offerWaiting(registration.waiting);
+        registration.addEventListener('updatefound', () => {
+          const worker = registration.installing;
+          worker?.addEventListener('statechange', () => {
+            if (worker.state === 'installed') offerWaiting(worker);
+          });
+        });
+        container.controller?.postMessage({ type: 'check-for-update' });
+      })
+      .catch((error) => console.warn('Failed to register service worker', error));
+  }
+
+  function keyboardCursorPoint() {
+    return { x: canvas.width / 2, y: canvas.height / 2 };
+  }
+
+  function resetKeyboardCandidates() {
+    keyboardCursor.candidates = [];
+    keyboardCursor.index = -1;
+  }
+
+  function compassPoint(bearing) {
+    const points = [
+      'north',
+      'north-east',
+      'east',
+      'south-east',
+      'south',
+      'south-west',
+      'west',
+      'north-west',
+    ];
+    return points[Math.round(normalizeBearing(bearing) / 45) % points.length];
+  }
+
+  // Names are withheld; they would give the answer away.
+  function describeKeyboardCandidate(wp) {
+    const { index, candidates } = keyboardCursor;
+    const point = keyboardCursorPoint();
+    const cursor = screenToWorld(point.x, point.y);
+    const from = projection.unproject(cursor.x, cursor.y);
+    const distanceNm = greatCircleDistanceNm(from.lon, from.lat, wp.lon, wp.lat);
+    const where =
+      distanceNm < 0.5
+        ? 'at the cross'
+        : `${distanceNm.toFixed(1)} NM ${compassPoint(initialBearingDeg(from, wp))} of the cross`;
+    return `Waypoint ${index + 1} of ${candidates.length}, ${where}`;
+  }
+
+  function cycleKeyboardCandidate(step) {
+    if (!projection) return false;
+    if (!keyboardCursor.candidates.length) {
+      const cursor = keyboardCursorPoint();
+      keyboardCursor.candidates = visibleWaypoints
+        .filter((wp) => Number.isFinite(wp.x) && Number.isFinite(wp.y))
+        .map((wp) => {
+          const { x, y } = worldToScreen(wp);
+          return { wp, x, y, dist: Math.hypot(x - cursor.x, y - cursor.y) };
+        })
+        .filter(({ x, y }) => x >= 0 && y >= 0 && x <= canvas.width && y <= canvas.height)
+        .sort((a, b) => a.dist - b.dist)
+        .slice(0, KEYBOARD_CONFIG.candidateCount)
+        .map(({ wp }) => wp);
+      keyboardCursor.index = step > 0 ? -1 : keyboardCursor.candidates.length;
+    }
+
+    const next = keyboardCursor.index + step;
+    if (next < 0 || next >= keyboardCursor.candidates.length) {
+      resetKeyboardCandidates();
+      requestRender();
+      return false;
+    }
+
+    keyboardCursor.index = next;
+    announce(describeKeyboardCandidate(keyboardCursor.candidates[next]));
+    requestRender();
+    return true;
+  }
+
+  function chooseKeyboardCandidate() {
+    const selected = keyboardCursor.candidates[keyboardCursor.index];
+    if (!selected) {
+      announce('No waypoint selected. Press Tab to select one.');
+      return;
+    }
+    const point = worldToScreen(selected);
+    resetKeyboardCandidates();
+    handleCanvasTap(point.x, point.y);
+    requestRender();
+  }
+
+  function panByKeyboard(dx, dy) {
+    viewport.offsetX += dx;
+    viewport.offsetY += dy;
+    resetKeyboardCandidates();
+    requestRender();
+  }
+
+  function openPanel() {
+    if (firPanelOpen) return firPanel;
+    if (dashboardOpen) return dashboardPanel;
+    if (examReportOpen) return examReportPanel;
+    return null;
+  }
+
+  function focusableElements(container) {
+    return [
+      ...container.querySelectorAll(
+        'button:not([disabled]), input:not([disabled]), select:not([disabled]), [tabindex]:not([tabindex="-1"])'
+      ),
+    ].filter((element) => !element.closest('[hidden]'));
+  }
+
+  function syncPanelFocus(panel, open) {
+    if (!panel) return;
+    if (open) {
+      if (!focusBeforePanel) focusBeforePanel = document.activeElement;
+      const [first] = focusableElements(panel);
+      (first ?? panel).focus?.({ preventScroll: true });
+      return;
+    }
+    if (panel.contains(document.activeElement)) {
+      const previous = focusBeforePanel;
+      focusBeforePanel = null;
+      previous?.focus?.({ preventScroll: true });
+    }
+  }
+
+  function trapPanelFocus(event, panel) {
+    const focusable = focusableElements(panel);
+    if (!focusable.length) {
+      event.preventDefault();
+      return;
+    }
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const inside = panel.contains(document.activeElement);
+    if (!inside || (event.shiftKey && document.activeElement === first)) {
+      event.preventDefault();
+      (event.shiftKey ? last : first).focus();
+    } else if (!event.shiftKey && document.activeElement === last) {
+      event.preventDefault();
+      first.focus();
+    }
+  }
+
+  function setupKeyboardControls() {
+    document.addEventListener('keydown', (event) => {
+      const panel = openPanel();
+      if (event.key === 'Escape' && panel) {
+        event.preventDefault();
+        setFIRPanelOpen(false);
+        setDashboardOpen(false);
+        setExamReportOpen(false);
+        return;
+      }
+      if (event.key === 'Tab' && panel) trapPanelFocus(event, panel);
+    });
+
+    canvas.addEventListener('focus', requestRender);
+    canvas.addEventListener('blur', () => {
+      resetKeyboardCandidates();
+      requestRender();
+    });
+
+    canvas.addEventListener('keydown', (event) => {
+      if (event.altKey || event.ctrlKey || event.metaKey) return;
+      const step = event.shiftKey ? KEYBOARD_CONFIG.largePanStepPx : KEYBOARD_CONFIG.panStepPx;
+      const cursor = keyboardCursorPoint();
+
+      switch (event.key) {
+        case 'ArrowLeft':
+          panByKeyboard(step, 0);
+          break;
+        case 'ArrowRight':
+          panByKeyboard(-step, 0);
+          break;
+        case 'ArrowUp':
+          panByKeyboard(0, step);
+          break;
+        case 'ArrowDown':
+          panByKeyboard(0, -step);
+          break;
+        case '+':
+        case '=':
+          zoomAt(cursor.x, cursor.y, KEYBOARD_CONFIG.zoomFactor);
+          resetKeyboardCandidates();
+          break;
+        case '-':
+        case '_':
+          zoomAt(cursor.x, cursor.y, 1 / KEYBOARD_CONFIG.zoomFactor);
+          resetKeyboardCandidates();
+          break;
+        case 'Tab':
+          if (!cycleKeyboardCandidate(event.shiftKey ? -1 : 1)) return;
+          break;
+        case 'Enter':
+        case ' ':
+          chooseKeyboardCandidate();
+          break;
+        default:
+          return;
+      }
+      event.preventDefault();
+    });
+  }
+
   setupFIRPanelControls();
+  setupQuizModeControls();
+  setupProgressControls();
+  setupProfileControls();
+  setupSchedulerControls();
+  setupExamControls();
+  setupVectorControls();
+  setupCustomSetControls();
+  setupHomeControls();
+  setupProjectionControls();
+  setupThemeControls();
   setupPointerControls();
+  setupKeyboardControls();
 
   window.addEventListener('resize', resizeCanvas, { passive: true });
   window.addEventListener('load', init);
-  window.addEventListener('beforeunload', () => touchSessionTimestamp());
+  window.addEventListener('load', registerServiceWorker);
+  window.addEventListener('beforeunload', () => {
+    touchSessionTimestamp();
+    statsStore?.flush();
+    answerJournal?.flush();
+  });
   document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible' && pageHiddenAt) {
+      // Time spent in another tab is not recall time.
+      const now = Date.now();
+      if (targetShownAt) targetShownAt += now - Math.max(pageHiddenAt, targetShownAt);
+      pageHiddenAt = 0;
+    }
     if (document.visibilityState === 'hidden') {
+      pageHiddenAt = Date.now();
       touchSessionTimestamp();
+      statsStore?.flush();
+      answerJournal?.flush();
     }
   });
   setInterval(() => touchSessionTimestamp(), SESSION_HEARTBEAT_MS);
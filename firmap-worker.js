@@ -0,0 +1,38 @@
+// Parses FIRmap.json off the main thread and transfers the coordinates as
+// one Float64Array.
+function polygonsOf(geometry) {
+  if (geometry?.type === 'Polygon') return [geometry.coordinates];
+  if (geometry?.type === 'MultiPolygon') return geometry.coordinates;
+  return [];
+}
+
+function packFIRMap(data) {
+  const values = [];
+  const features = (Array.isArray(data?.features) ? data.features : []).map((feature) => ({
+    properties: feature?.properties ?? {},
+    type: feature?.geometry?.type ?? null,
+    polygons: polygonsOf(feature?.geometry).map((rings) =>
+      rings.map((ring) => {
+        const start = values.length;
+        ring.forEach(([lon, lat]) => values.push(lon, lat));
+        return [start, values.length];
+      })
+    ),
+  }));
+  return { features, coordinates: new Float64Array(values) };
+}
+
+self.addEventListener('message', async (event) => {
+  const { url } = event.data ?? {};
+  try {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Failed to load FIR map: ${response.status}`);
+    }
+    const packed = packFIRMap(await response.json());
+    self.postMessage({ ok: true, packed }, [packed.coordinates.buffer]);
+  } catch (error) {
+    self.postMessage({ ok: false, error: error?.message || 'Failed to load FIR map' });
+  }
+  self.close();
+});
@@ -0,0 +1,234 @@
+// Shell files are fetched network-first; waypoint data is cached per hash of
+// index.json and the files it lists, and swapped only when the user accepts an
+// update.
+const CACHE_VERSION = 2;
+const CACHE_PREFIX = 'atc-quiz-';
+const META_CACHE = 'atc-quiz-meta';
+const ACTIVE_KEY = 'active-cache';
+const PENDING_KEY = 'pending-cache';
+const DATA_MANIFEST_URL = 'data/waypoints/index.json';
+const WAYPOINTS_PATH = 'data/waypoints';
+const WAYPOINT_TEXT_FORMATS = ['csv', 'gpx', 'txt'];
+const SHELL_FILES = [
+  './',
+  'index.html',
+  'app.js',
+  'style.css',
+  'waypoint-validator.js',
+  'firmap-worker.js',
+  'manifest.webmanifest',
+  'icon.svg',
+  'data/FIRmap.json',
+];
+
+let activeCacheName = null;
+
+async function hashText(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)]
+    .slice(0, 6)
+    .map((byte) => byte.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+function manifestFiles(manifest) {
+  const entries = Array.isArray(manifest) ? manifest : manifest?.firs ?? [];
+  return entries
+    .map((entry) => `${typeof entry === 'string' ? entry : entry?.file ?? ''}`.trim())
+    .filter(Boolean);
+}
+
+// Mirrors buildWaypointPaths in app.js.
+function waypointFileCandidates(file) {
+  const name = file.split('/').pop();
+  if (WAYPOINT_TEXT_FORMATS.includes(name.split('.').pop().toLowerCase())) {
+    return [`${WAYPOINTS_PATH}/${name}`];
+  }
+  const stem = name.replace(/\.geojson$/i, '');
+  return [
+    ...new Set([
+      `${WAYPOINTS_PATH}/${name}`,
+      `${WAYPOINTS_PATH}/${stem}.geojson`,
+      `${WAYPOINTS_PATH}/${stem}.geoJSON`,
+    ]),
+  ];
+}
+
+async function fetchManifestText() {
+  const response = await fetch(DATA_MANIFEST_URL, { cache: 'no-cache' });
+  if (!response.ok) throw new Error(`Failed to load ${DATA_MANIFEST_URL}: ${response.status}`);
+  return response.text();
+}
+
+async function fetchWaypointFile(file) {
+  for (const path of waypointFileCandidates(file)) {
+    try {
+      const response = await fetch(path, { cache: 'no-cache' });
+      if (response.ok) {
+        const contentType = response.headers.get('Content-Type') || 'application/octet-stream';
+        return { path, text: await response.text(), contentType };
+      }
+    } catch (error) {
+      // Try the next spelling.
+    }
+  }
+  throw new Error(`Failed to load ${file}`);
+}
+
+// A data file corrected under an unchanged index.json still gets a new cache.
+async function fetchDataSnapshot() {
+  const manifestText = await fetchManifestText();
+  const files = await Promise.all(manifestFiles(JSON.parse(manifestText)).map(fetchWaypointFile));
+  const hash = await hashText(
+    [manifestText, ...files.map(({ path, text }) => `${path}\n${text}`)].join('\0')
+  );
+  return { name: `${CACHE_PREFIX}${CACHE_VERSION}-${hash}`, manifestText, files };
+}
+
+async function readMeta(key) {
+  const meta = await caches.open(META_CACHE);
+  const response = await meta.match(key);
+  return response ? response.text() : null;
+}
+
+async function writeMeta(key, value) {
+  const meta = await caches.open(META_CACHE);
+  if (value) {
+    await meta.put(key, new Response(value));
+  } else {
+    await meta.delete(key);
+  }
+}
+
+// Throws rather than leaving a partial cache to be activated.
+async function buildCache({ name, manifestText, files }) {
+  const cache = await caches.open(name);
+  try {
+    await cache.addAll(SHELL_FILES.map((file) => new Request(file, { cache: 'reload' })));
+    await cache.put(
+      DATA_MANIFEST_URL,
+      new Response(manifestText, { headers: { 'Content-Type': 'application/json' } })
+    );
+    await Promise.all(
+      files.map(({ path, text, contentType }) =>
+        cache.put(path, new Response(text, { headers: { 'Content-Type': contentType } }))
+      )
+    );
+  } catch (error) {
+    await caches.delete(name);
+    throw error;
+  }
+  return name;
+}
+
+async function getActiveCacheName() {
+  if (!activeCacheName) activeCacheName = await readMeta(ACTIVE_KEY);
+  return activeCacheName;
+}
+
+async function activatePendingCache() {
+  const pending = await readMeta(PENDING_KEY);
+  if (!pending?.startsWith(`${CACHE_PREFIX}${CACHE_VERSION}-`)) return false;
+
+  activeCacheName = pending;
+  await writeMeta(ACTIVE_KEY, pending);
+  await writeMeta(PENDING_KEY, null);
+  const names = await caches.keys();
+  await Promise.all(
+    names
+      .filter((name) => name.startsWith(CACHE_PREFIX) && name !== pending && name !== META_CACHE)
+      .map((name) => caches.delete(name))
+  );
+  return true;
+}
+
+async function checkForUpdate() {
+  const snapshot = await fetchDataSnapshot();
+  if (snapshot.name === (await getActiveCacheName())) return false;
+  if (snapshot.name !== (await readMeta(PENDING_KEY))) {
+    await writeMeta(PENDING_KEY, await buildCache(snapshot));
+  }
+  return true;
+}
+
+function isShellRequest(request) {
+  const url = new URL(request.url);
+  url.search = '';
+  return (
+    request.mode === 'navigate' ||
+    SHELL_FILES.some((file) => new URL(file, self.registration.scope).href === url.href)
+  );
+}
+
+async function matchCached(cache, request) {
+  return (
+    (await cache?.match(request, { ignoreSearch: true })) ??
+    (request.mode === 'navigate' ? await cache?.match('index.html') : undefined)
+  );
+}
+
+async function respond(request) {
+  const name = await getActiveCacheName();
+  const cache = name ? await caches.open(name) : null;
+  const shell = isShellRequest(request);
+  if (!shell && request.cache !== 'no-cache' && request.cache !== 'reload') {
+    return (await matchCached(cache, request)) ?? fetch(request);
+  }
+
+  try {
+    const response = await fetch(request);
+    if (shell && response.ok && cache) await cache.put(request, response.clone());
+    return response;
+  } catch (error) {
+    const cached = await matchCached(cache, request);
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    (async () => {
+      await writeMeta(PENDING_KEY, await buildCache(await fetchDataSnapshot()));
+    })()
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    (async () => {
+      try {
+        if (!(await activatePendingCache())) {
+          await writeMeta(PENDING_KEY, await buildCache(await fetchDataSnapshot()));
+          await activatePendingCache();
+        }
+      } catch (error) {
+        console.warn('Failed to build the offline cache', error);
+      }
+      await self.clients.claim();
+    })()
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+  event.respondWith(respond(request));
+});
+
+self.addEventListener('message', (event) => {
+  const reply = (message) => event.source?.postMessage(message);
+  const { type } = event.data ?? {};
+
+  if (type === 'skip-waiting') {
+    self.skipWaiting();
+  } else if (type === 'check-for-update') {
+    event.waitUntil(
+      checkForUpdate()
+        .then((ready) => ready && reply({ type: 'update-ready' }))
+        .catch((error) => console.warn('Failed to check for updates', error))
+    );
+  } else if (type === 'apply-update') {
+    event.waitUntil(activatePendingCache().then(() => reply({ type: 'update-applied' })));
+  }
+});
@@ -0,0 +1,258 @@
+// Waypoint data checks shared by the app and the command line:
+//   node waypoint-validator.js [data directory]
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.WaypointValidator = api;
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const VALIDATOR_CONFIG = {
+    // Boundary waypoints sit on the FIR line; allow for rounding in the data.
+    boundaryToleranceNm: 0.5,
+    // FIRmap.json outlines are simplified.
+    outsideToleranceNm: 5,
+  };
+
+  const EARTH_RADIUS_NM = 3440.065;
+
+  function firCodeFromFilename(filename) {
+    const match = filename?.match(/([^/]+?)(?:\.[^.]+)?$/);
+    return match ? match[1].toUpperCase() : 'FIR';
+  }
+
+  function polygonsOf(geometry) {
+    if (geometry?.type === 'Polygon') return [geometry.coordinates];
+    if (geometry?.type === 'MultiPolygon') return geometry.coordinates;
+    return [];
+  }
+
+  function pointInRing(lon, lat, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i, i += 1) {
+      const [xi, yi] = ring[i];
+      const [xj, yj] = ring[j];
+      if (yi > lat !== yj > lat && lon < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  }
+
+  function pointInGeometry(lon, lat, geometry) {
+    return polygonsOf(geometry).some(
+      ([outer, ...holes]) =>
+        outer && pointInRing(lon, lat, outer) && !holes.some((hole) => pointInRing(lon, lat, hole))
+    );
+  }
+
+  // Local equirectangular approximation; accurate enough at boundary-tolerance scale.
+  function distanceToSegmentNm(lon, lat, [ax, ay], [bx, by]) {
+    const nmPerDegLat = (Math.PI / 180) * EARTH_RADIUS_NM;
+    const nmPerDegLon = nmPerDegLat * Math.cos((lat * Math.PI) / 180);
+    const px = (lon - ax) * nmPerDegLon;
+    const py = (lat - ay) * nmPerDegLat;
+    const dx = (bx - ax) * nmPerDegLon;
+    const dy = (by - ay) * nmPerDegLat;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq ? Math.max(0, Math.min(1, (px * dx + py * dy) / lengthSq)) : 0;
+    return Math.hypot(px - t * dx, py - t * dy);
+  }
+
+  function distanceToBoundaryNm(lon, lat, geometry) {
+    let best = Infinity;
+    polygonsOf(geometry).forEach((rings) =>
+      rings.forEach((ring) => {
+        for (let i = 1; i < ring.length; i += 1) {
+          best = Math.min(best, distanceToSegmentNm(lon, lat, ring[i - 1], ring[i]));
+        }
+      })
+    );
+    return best;
+  }
+
+  function geometryContains(lon, lat, geometry, toleranceNm = VALIDATOR_CONFIG.boundaryToleranceNm) {
+    return (
+      pointInGeometry(lon, lat, geometry) || distanceToBoundaryNm(lon, lat, geometry) <= toleranceNm
+    );
+  }
+
+  function normalizeAreaName(name) {
+    return `${name ?? ''}`.replace(/\s+/g, ' ').trim().toUpperCase();
+  }
+
+  // A manifest AV_NAME wins, then LZBBFIR, then any area with the prefix.
+  function findFIRFeatures(firGeoJSON, firCode, avName) {
+    const features = firGeoJSON?.features ?? [];
+    if (avName) {
+      const named = features.filter(
+        (feature) => normalizeAreaName(feature?.properties?.AV_NAME) === normalizeAreaName(avName)
+      );
+      if (named.length) return named;
+    }
+
+    const code = `${firCode}`.toUpperCase();
+    const exact = features.filter((feature) => feature?.properties?.AV_AIRSPAC === `${code}FIR`);
+    if (exact.length) return exact;
+    return features.filter((feature) => feature?.properties?.AV_AIRSPAC?.startsWith(code));
+  }
+
+  function validateWaypointFile(file, data, firGeoJSON, options = {}) {
+    const toleranceNm = options.boundaryToleranceNm ?? VALIDATOR_CONFIG.boundaryToleranceNm;
+    const outsideToleranceNm = options.outsideToleranceNm ?? VALIDATOR_CONFIG.outsideToleranceNm;
+    const fileFIR = `${options.fir ?? firCodeFromFilename(file)}`.toUpperCase();
+    const features = Array.isArray(data?.features) ? data.features : [];
+    const issues = [];
+    const seenNames = new Map();
+    const addIssue = (type, index, name, message) => issues.push({ file, type, index, name, message });
+
+    if (!Array.isArray(data?.features)) {
+      addIssue('invalid-file', null, null, 'File is not a GeoJSON FeatureCollection');
+    }
+
+    features.forEach((feature, index) => {
+      const name = `${feature?.properties?.name ?? ''}`.trim();
+      const label = name || `feature ${index}`;
+      const fir = `${feature?.properties?.fir ?? fileFIR}`.toUpperCase();
+      const geometry = feature?.geometry;
+
+      if (!name) {
+        addIssue('missing-name', index, null, `Feature ${index} has no name`);
+      } else {
+        const key = name.toUpperCase();
+        const previous = seenNames.get(key);
+        if (previous !== undefined) {
+          addIssue('duplicate-name', index, name, `${name} also appears as feature ${previous}`);
+        } else {
+          seenNames.set(key, index);
+        }
+      }
+
+      if (geometry?.type !== 'Point') {
+        addIssue(
+          'non-point-geometry',
+          index,
+          name,
+          `${label} has ${geometry?.type ?? 'no'} geometry instead of Point`
+        );
+        return;
+      }
+
+      const [lon, lat] = geometry.coordinates ?? [];
+      if (!Number.isFinite(lon) || !Number.isFinite(lat)) {
+        addIssue('invalid-coordinates', index, name, `${label} has non-numeric coordinates`);
+        return;
+      }
+
+      const firFeatures = findFIRFeatures(
+        firGeoJSON,
+        fir,
+        fir === fileFIR ? options.avName : undefined
+      );
+      const inside = (x, y) =>
+        firFeatures.some((firFeature) => geometryContains(x, y, firFeature.geometry, toleranceNm));
+
+      if (Math.abs(lat) > 90 || (firFeatures.length && !inside(lon, lat) && inside(lat, lon))) {
+        addIssue(
+          'swapped-coordinates',
+          index,
+          name,
+          `${label} looks like it has latitude and longitude swapped (${lon}, ${lat})`
+        );
+        return;
+      }
+
+      if (!firFeatures.length) {
+        if (firGeoJSON) {
+          addIssue('unknown-fir', index, name, `${label}: no ${fir} boundary in the FIR map`);
+        }
+        return;
+      }
+
+      if (!inside(lon, lat)) {
+        const distanceNm = Math.min(
+          ...firFeatures.map((firFeature) => distanceToBoundaryNm(lon, lat, firFeature.geometry))
+        );
+        if (distanceNm <= outsideToleranceNm) return;
+        addIssue(
+          'outside-fir',
+          index,
+          name,
+          `${label} is ${distanceNm.toFixed(1)} NM outside ${fir}`
+        );
+      }
+    });
+
+    return { file, fir: fileFIR, count: features.length, issues };
+  }
+
+  function validateWaypointSources(sources, firGeoJSON, options = {}) {
+    return sources.map(({ file, data, fir, avName }) =>
+      validateWaypointFile(file, data, firGeoJSON, { ...options, fir, avName })
+    );
+  }
+
+  function formatReport(results) {
+    return results
+      .map(({ file, count, issues }) => {
+        const heading = `${file}: ${count} features, ${issues.length ? `${issues.length} issue(s)` : 'ok'}`;
+        return [heading, ...issues.map((issue) => `  [${issue.type}] ${issue.message}`)].join('\n');
+      })
+      .join('\n');
+  }
+
+  function runCLI(argv) {
+    const fs = require('fs');
+    const path = require('path');
+    const dataRoot = path.resolve(argv[0] || path.join(__dirname, 'data'));
+    const waypointsDir = path.join(dataRoot, 'waypoints');
+    const readJSON = (file) => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+    const firGeoJSON = readJSON(path.join(dataRoot, 'FIRmap.json'));
+    const manifest = readJSON(path.join(waypointsDir, 'index.json'));
+    const entries = Array.isArray(manifest) ? manifest : manifest?.firs ?? [];
+    const available = fs.readdirSync(waypointsDir);
+
+    const sources = entries.map((entry) => {
+      const file = `${typeof entry === 'string' ? entry : entry?.file ?? ''}`.trim();
+      const meta = typeof entry === 'string' ? {} : { fir: entry.code, avName: entry.avName };
+      const format = `${entry?.format ?? file.split('.').pop()}`.toLowerCase();
+      const actual =
+        available.find((name) => name === file) ||
+        available.find((name) => name.toLowerCase() === file.toLowerCase());
+      if (!actual) return { file, data: null, ...meta };
+      if (!['geojson', 'json'].includes(format)) return { file, skipped: true };
+      return { file, data: readJSON(path.join(waypointsDir, actual)), ...meta };
+    });
+
+    // CSV, GPX and AIP text files are parsed by the app; check them there.
+    sources
+      .filter(({ skipped }) => skipped)
+      .forEach(({ file }) => console.log(`${file}: skipped, only GeoJSON is checked here`));
+
+    const results = validateWaypointSources(
+      sources.filter(({ skipped }) => !skipped),
+      firGeoJSON
+    );
+    console.log(formatReport(results));
+    return results.some(({ issues }) => issues.length) ? 1 : 0;
+  }
+
+  if (typeof require === 'function' && typeof module === 'object' && require.main === module) {
+    process.exitCode = runCLI(process.argv.slice(2));
+  }
+
+  return {
+    VALIDATOR_CONFIG,
+    firCodeFromFilename,
+    pointInGeometry,
+    distanceToBoundaryNm,
+    geometryContains,
+    normalizeAreaName,
+    findFIRFeatures,
+    validateWaypointFile,
+    validateWaypointSources,
+    formatReport,
+  };
+});